@@ -1,332 +1,492 @@
+// Why a page could not be shown. Offline and network failures are worth
+// retrying; missing content and pages that fail to render are not.
+class ContentError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = 'ContentError';
+    this.type = type; // 'offline' | 'network' | 'missing' | 'render'
+  }
+
+  get retryable() {
+    return this.type === 'offline' || this.type === 'network';
+  }
+}
+
 class ContentLoader {
-  constructor(translationManager) {
+  // Pages come from the content registry (content/pages.json, see
+  // ContentRouter): each has content/<lang>/<source> and translated meta
+  // keys. The markdown's front-matter, when present, overrides the meta.
+  // Missing translations fall back along the language's fallback chain,
+  // with a notice; "translation: partial" pages take their untranslated
+  // sections from the next language in the chain.
+  static views = ['content-loading', 'markdown-content', 'content-error', 'content-not-found'];
+
+  constructor(translationManager, { cache = ResourceCache.shared } = {}) {
     this.translationManager = translationManager;
+    this.cache = cache;
+    this.page = null;
     this.contentType = null;
-    this.supportedLanguages = ['en', 'pt'];
+    this.pageMeta = new PageMeta(translationManager);
+    this.tableOfContents = new TableOfContents(translationManager);
+    this.renderer = new MarkdownRenderer(translationManager);
+    this.router = new ContentRouter(translationManager, {
+      onRoute: (page, options) => this.showPage(page, options)
+    });
+    this.frontMatter = {};
+    this.contentLanguage = null;
+    this.errorType = null;
+    this.loadToken = 0; // bumped by every load; older loads drop their result
   }
 
   async init() {
-    // Get content type from URL parameters or pathname
-    const urlParams = new URLSearchParams(window.location.search);
-    this.contentType = urlParams.get('content') || this.getContentTypeFromPath();
-    
-    if (this.contentType) {
-      await this.loadContent();
-    } else {
-      this.showError('Invalid content type');
-    }
-    
     // Store reference for global access
     window.contentLoader = this;
+
+    // UI strings and page meta live in the content-pages translation bundle
+    await this.translationManager.ensureNamespaces(['content-pages']);
+
+    // Reload the page (content and meta) in the newly selected language
+    window.addEventListener('languageChanged', () => {
+      if (this.page) {
+        this.loadContent({ languageSwitch: true });
+      } else {
+        this.showNotFound();
+      }
+    });
+
+    document.getElementById('content-retry')?.addEventListener('click', () => this.loadContent());
+
+    // Offline errors clear up by themselves once the connection is back
+    window.addEventListener('online', () => {
+      if (this.errorType === 'offline') {
+        this.loadContent();
+      }
+    });
+
+    await this.router.init();
+  }
+
+  async showPage(page, { scrollY = null } = {}) {
+    this.page = page;
+    this.contentType = page ? page.slug : null;
+
+    if (page) {
+      await this.loadContent({ scrollY });
+    } else {
+      this.showNotFound();
+    }
   }
 
-  getContentTypeFromPath() {
-    const path = window.location.pathname;
-    if (path.includes('handbook')) return 'handbook';
-    if (path.includes('cli-mode')) return 'cli-mode';
-    if (path.includes('knowledgebase')) return 'knowledgebase';
-    if (path.includes('credits')) return 'credits';
-    return null;
+  showView(id) {
+    ContentLoader.views.forEach(view => {
+      document.getElementById(view)?.classList.toggle('hidden', view !== id);
+    });
   }
 
-  async loadContent() {
-    const loadingEl = document.getElementById('content-loading');
+  // scrollY restores a position from history; after a language switch the
+  // linked heading is looked up by its position in the previous language
+  async loadContent({ scrollY = null, languageSwitch = false } = {}) {
     const contentEl = document.getElementById('markdown-content');
-    const errorEl = document.getElementById('content-error');
+    const token = ++this.loadToken;
     
-    // Show loading
-    loadingEl.classList.remove('hidden');
-    contentEl.classList.add('hidden');
-    errorEl.classList.add('hidden');
+    const currentLang = this.translationManager.currentLang;
+    const anchorIndex = languageSwitch ? this.tableOfContents.indexOf(this.getAnchorId()) : -1;
+
+    // Prerendered pages already contain the rendered markdown; hydrate them
+    // once and render normally on later language changes
+    if (contentEl.dataset.prerendered === `${this.contentType}/${currentLang}`) {
+      delete contentEl.dataset.prerendered;
+      this.frontMatter = JSON.parse(contentEl.dataset.frontMatter || '{}');
+      this.contentLanguage = contentEl.getAttribute('lang') || currentLang;
+      this.errorType = null;
+      this.renderer.enhance(contentEl);
+      this.tableOfContents.build(contentEl);
+      this.updatePageMeta();
+      this.renderArticleDetails();
+      this.showView('markdown-content');
+      this.restoreScroll(scrollY, anchorIndex);
+      this.dispatchContentEvent('contentLoaded', currentLang, { contentLanguage: this.contentLanguage });
+      return;
+    }
+
+    // Show loading; the previous page's TOC and byline go with it
+    this.showView('content-loading');
+    if (!languageSwitch) {
+      this.hideArticleExtras();
+    }
     
     try {
-      const currentLang = this.translationManager.currentLang;
-      const content = await this.fetchMarkdownContent(this.contentType, currentLang);
-      
-      if (content) {
-        // Parse markdown to HTML
-        const htmlContent = marked.parse(content);
-        contentEl.innerHTML = htmlContent;
-        
-        // Update page title and meta tags
-        this.updatePageMeta(this.contentType, currentLang);
-        
-        // Show content
-        loadingEl.classList.add('hidden');
-        contentEl.classList.remove('hidden');
-        
-        // Scroll to top
-        window.scrollTo(0, 0);
-      } else {
-        throw new Error('Content not found');
+      const page = this.page;
+      const file = await this.fetchMarkdownContent(page.source, currentLang);
+      // Partially translated pages fill their gaps from the next language
+      const { data, body } = FrontMatter.parse(file.content);
+      const fallback = data.translation === 'partial' ? await this.fetchFallbackContent(page.source, file.language) : null;
+      // Another page or language was opened while this one was loading
+      if (token !== this.loadToken) return;
+
+      // Render the sanitised markdown; the front-matter and the language it
+      // is written in are kept on the element for prerendered pages
+      this.frontMatter = data;
+      this.contentLanguage = file.language;
+      this.errorType = null;
+      contentEl.dataset.frontMatter = JSON.stringify(data);
+      try {
+        contentEl.replaceChildren(this.renderBody(body, fallback));
+      } catch (error) {
+        throw new ContentError('render', `Could not render ${page.source}: ${error.message}`);
       }
+      this.setLanguageAttributes(contentEl, file.language === currentLang ? null : file.language);
+      this.renderer.enhance(contentEl);
+      this.tableOfContents.build(contentEl);
+
+      // Update page title and meta tags
+      this.updatePageMeta();
+      this.renderArticleDetails();
+
+      // Show content
+      this.showView('markdown-content');
+
+      // Scroll back to where the visitor was, to the linked heading, or to the top
+      this.restoreScroll(scrollY, anchorIndex);
+      this.dispatchContentEvent('contentLoaded', currentLang, { contentLanguage: this.contentLanguage });
     } catch (error) {
+      if (token !== this.loadToken) return;
       console.error('Error loading content:', error);
-      this.showError();
+      this.showError(error);
+      this.dispatchContentEvent('contentError', currentLang, { errorType: this.errorType });
     }
   }
 
-  async fetchMarkdownContent(contentType, language) {
-    // Try to fetch content in the requested language
-    try {
-      const response = await fetch(`content/${language}/${contentType}.md`);
-      if (response.ok) {
-        return await response.text();
+  dispatchContentEvent(name, language, detail = {}) {
+    window.dispatchEvent(new CustomEvent(name, { detail: { contentType: this.contentType, language, ...detail } }));
+  }
+
+  // { content, language } of the first language along the fallback chain
+  // that has the file. Network failures are not papered over with another
+  // language: they surface as errors the reader can retry.
+  async fetchMarkdownContent(source, language) {
+    const languages = [language, ...this.translationManager.getFallbackChain(language)];
+
+    for (const lang of languages) {
+      const content = await this.fetchMarkdownFile(`content/${lang}/${source}`);
+      if (content !== null) {
+        return { content, language: lang };
       }
+      console.warn(`Content not available in ${lang}, trying fallback`);
+    }
+
+    throw new ContentError('missing', `No ${source} in ${languages.join(', ')}`);
+  }
+
+  // { language, body } of the page in the language after the given one, or
+  // null when there is none; partial pages then show what they have
+  async fetchFallbackContent(source, language) {
+    const [next] = this.translationManager.getFallbackChain(language);
+    if (!next) return null;
+
+    try {
+      const file = await this.fetchMarkdownContent(source, next);
+      return { language: file.language, body: FrontMatter.parse(file.content).body };
     } catch (error) {
-      console.warn(`Content not available in ${language}, trying fallback`);
+      console.warn(`No fallback sections for ${source}:`, error);
+      return null;
     }
-    
-    // Fallback to English if the requested language is not available
-    if (language !== 'en') {
+  }
+
+  // Markdown text, or null when the file does not exist. Both are cached, so
+  // pages that fall back to another language skip the lookup next time.
+  async fetchMarkdownFile(path) {
+    const load = async () => {
+      let response;
       try {
-        const response = await fetch(`content/en/${contentType}.md`);
-        if (response.ok) {
-          return await response.text();
-        }
+        response = await fetch(TranslationManager.resolveSitePath(path));
       } catch (error) {
-        console.error('Fallback content not available');
+        const type = navigator.onLine === false ? 'offline' : 'network';
+        throw new ContentError(type, `Failed to load ${path}: ${error.message}`);
       }
+
+      if (response.ok) {
+        return response.text();
+      }
+      if (response.status === 404) {
+        return null;
+      }
+      throw new ContentError('network', `Failed to load ${path}: ${response.status}`);
+    };
+
+    return this.cache ? this.cache.fetch(path, load) : load();
+  }
+
+  // The page's markdown as DOM. With a fallback ({ language, body }) the
+  // sections missing from the translation are taken from it, in the order
+  // of the fallback, and marked as untranslated.
+  renderBody(body, fallback = null) {
+    if (!fallback) {
+      return this.renderer.render(body);
     }
-    
-    return null;
+
+    const fragment = document.createDocumentFragment();
+    const sections = ContentLoader.mergeSections(
+      this.renderer.splitSections(body),
+      this.renderer.splitSections(fallback.body)
+    );
+    sections.forEach(section => {
+      const content = this.renderer.render(section.markdown);
+      fragment.appendChild(section.fallback ? this.createFallbackSection(content, fallback.language) : content);
+    });
+    return fragment;
   }
 
-  updatePageMeta(contentType, language) {
-    const titles = {
-      'handbook': {
-        'en': 'Developer Handbook - LinuxToys',
-        'pt': 'Manual do Desenvolvedor - LinuxToys',
-        'es': 'Manual del Desarrollador - LinuxToys',
-        'fr': 'Manuel du Développeur - LinuxToys',
-        'de': 'Entwicklerhandbuch - LinuxToys',
-        'nl': 'Ontwikkelaarshandboek - LinuxToys',
-        'zh': '开发者手册 - LinuxToys',
-        'ja': '開発者ハンドブック - LinuxToys',
-        'ru': 'Руководство разработчика - LinuxToys',
-        'ga': 'Lámhleabhar Forbróra - LinuxToys'
-      },
-      'cli-mode': {
-        'en': 'CLI Mode Instructions - LinuxToys',
-        'pt': 'Instruções do Modo CLI - LinuxToys',
-        'es': 'Instrucciones del Modo CLI - LinuxToys',
-        'fr': 'Instructions du Mode CLI - LinuxToys',
-        'de': 'CLI-Modus Anweisungen - LinuxToys',
-        'nl': 'CLI-modus Instructies - LinuxToys',
-        'zh': 'CLI 模式说明 - LinuxToys',
-        'ja': 'CLIモードの説明 - LinuxToys',
-        'ru': 'Инструкции CLI режима - LinuxToys',
-        'ga': 'Treoracha Mód CLI - LinuxToys'
-      },
-      'knowledgebase': {
-        'en': 'Knowledge Base - LinuxToys',
-        'pt': 'Base de Conhecimento - LinuxToys',
-        'es': 'Base de Conocimientos - LinuxToys',
-        'fr': 'Base de Connaissances - LinuxToys',
-        'de': 'Wissensdatenbank - LinuxToys',
-        'nl': 'Kennisbank - LinuxToys',
-        'zh': '知识库 - LinuxToys',
-        'ja': 'ナレッジベース - LinuxToys',
-        'ru': 'База знаний - LinuxToys',
-        'ga': 'Bunachar Eolais - LinuxToys'
-      },
-      'credits': {
-        'en': 'Credits & Acknowledgments - LinuxToys',
-        'pt': 'Créditos & Reconhecimentos - LinuxToys',
-        'es': 'Créditos & Reconocimientos - LinuxToys',
-        'fr': 'Crédits & Remerciements - LinuxToys',
-        'de': 'Credits & Danksagungen - LinuxToys',
-        'nl': 'Credits & Dankbetuigingen - LinuxToys',
-        'zh': '致谢 & 鸣谢 - LinuxToys',
-        'ja': 'クレジット & 謝辞 - LinuxToys',
-        'ru': 'Авторские права и благодарности - LinuxToys',
-        'ga': 'Creidiúintí & Aitheantas - LinuxToys'
+  // Sections (see MarkdownRenderer.splitSections) of a partial translation
+  // merged with the fallback's: every fallback section is replaced by the
+  // translated one with the same id, and sections only the translation has
+  // stay after the section they follow there. Untranslated sections get
+  // fallback: true.
+  static mergeSections(translated, fallback) {
+    const fallbackIds = new Set(fallback.map(section => section.id));
+    const groups = new Map();
+    let anchor = null;
+
+    translated.forEach(section => {
+      if (!section.markdown.trim()) return;
+      if (fallbackIds.has(section.id)) {
+        anchor = section.id;
       }
-    };
+      if (!groups.has(anchor)) {
+        groups.set(anchor, []);
+      }
+      groups.get(anchor).push(section);
+    });
 
-    const descriptions = {
-      'handbook': {
-        'en': 'Complete guide for developing LinuxToys tools and scripts',
-        'pt': 'Guia completo para desenvolver ferramentas e scripts do LinuxToys',
-        'es': 'Guía completa para desarrollar herramientas y scripts de LinuxToys',
-        'fr': 'Guide complet pour développer des outils et scripts LinuxToys',
-        'de': 'Vollständiger Leitfaden für die Entwicklung von LinuxToys-Tools und -Skripten',
-        'nl': 'Volledige gids voor het ontwikkelen van LinuxToys tools en scripts',
-        'zh': '开发 LinuxToys 工具和脚本的完整指南',
-        'ja': 'LinuxToysツールとスクリプトの開発完全ガイド',
-        'ru': 'Полное руководство по разработке инструментов и скриптов LinuxToys'
-      },
-      'cli-mode': {
-        'en': 'Learn how to use LinuxToys CLI mode for automated installations',
-        'pt': 'Aprenda a usar o modo CLI do LinuxToys para instalações automatizadas',
-        'es': 'Aprende a usar el modo CLI de LinuxToys para instalaciones automatizadas',
-        'fr': 'Apprenez à utiliser le mode CLI de LinuxToys pour les installations automatisées',
-        'de': 'Erfahren Sie, wie Sie den LinuxToys CLI-Modus für automatisierte Installationen verwenden',
-        'nl': 'Leer hoe je LinuxToys CLI-modus gebruikt voor geautomatiseerde installaties',
-        'zh': '学习如何使用 LinuxToys CLI 模式进行自动化安装',
-        'ja': '自動インストール用のLinuxToys CLIモードの使用方法を学ぶ',
-        'ru': 'Изучите, как использовать режим CLI LinuxToys для автоматических установок'
-      },
-      'knowledgebase': {
-        'en': 'Comprehensive guide to LinuxToys features and installation procedures',
-        'pt': 'Guia abrangente dos recursos e procedimentos de instalação do LinuxToys',
-        'es': 'Guía completa de características y procedimientos de instalación de LinuxToys',
-        'fr': 'Guide complet des fonctionnalités et procédures d\'installation de LinuxToys',
-        'de': 'Umfassender Leitfaden zu LinuxToys-Funktionen und Installationsverfahren',
-        'nl': 'Uitgebreide gids voor LinuxToys functies en installatieprocedures',
-        'zh': 'LinuxToys 功能和安装程序的综合指南',
-        'ja': 'LinuxToysの機能とインストール手順の包括的ガイド',
-        'ru': 'Полное руководство по функциям и процедурам установки LinuxToys'
-      },
-      'credits': {
-        'en': 'Credits and acknowledgments for all the amazing developers who made LinuxToys features possible',
-        'pt': 'Créditos e reconhecimentos para todos os incríveis desenvolvedores que tornaram possíveis os recursos do LinuxToys',
-        'es': 'Créditos y reconocimientos para todos los increíbles desarrolladores que hicieron posibles las características de LinuxToys',
-        'fr': 'Crédits et remerciements pour tous les incroyables développeurs qui ont rendu possibles les fonctionnalités de LinuxToys',
-        'de': 'Credits und Danksagungen an alle erstaunlichen Entwickler, die die LinuxToys-Features möglich gemacht haben',
-        'nl': 'Credits en dankbetuigingen voor alle geweldige ontwikkelaars die LinuxToys functies mogelijk maakten',
-        'zh': '向所有使LinuxToys功能成为可能的优秀开发者致谢和鸣谢',
-        'ja': 'LinuxToysの機能を可能にしてくれた全ての素晴らしい開発者への謝辞と感謝',
-        'ru': 'Благодарности и признание всем удивительным разработчикам, которые сделали возможными функции LinuxToys'
+    return fallback.flatMap(section => {
+      if (groups.has(section.id)) {
+        const group = groups.get(section.id);
+        groups.delete(section.id); // repeated ids only take it once
+        return group;
       }
-    };
+      return section.markdown.trim() ? [{ ...section, fallback: true }] : [];
+    });
+  }
 
-    // Update title
-    const title = titles[contentType]?.[language] || titles[contentType]?.['en'] || 'LinuxToys';
-    document.title = title;
+  createFallbackSection(content, language) {
+    const section = document.createElement('section');
+    section.className = 'fallback-section';
+    this.setLanguageAttributes(section, language);
+
+    // The notice goes below the section's heading, in the reader's language
+    const notice = this.createNotice('content-pages.fallback.section');
+    this.setLanguageAttributes(notice, this.translationManager.currentLang);
+    const heading = content.firstElementChild?.tagName === 'H2' ? content.firstElementChild : null;
+    section.appendChild(content);
+    if (heading) {
+      heading.after(notice);
+    } else {
+      section.prepend(notice);
+    }
+    return section;
+  }
+
+  // lang and dir for content in another language; null removes them
+  setLanguageAttributes(element, language) {
+    if (language) {
+      element.setAttribute('lang', language);
+      element.setAttribute('dir', this.translationManager.getLanguage(language)?.dir || 'ltr');
+    } else {
+      element.removeAttribute('lang');
+      element.removeAttribute('dir');
+    }
+  }
+
+  // Notice with a link for readers who want to help translate
+  createNotice(key, args = {}) {
+    const tm = this.translationManager;
+    const notice = document.createElement('p');
+    notice.className = 'translation-status';
+    notice.setAttribute('role', 'note');
+    notice.textContent = tm.getTranslation(key, args);
+
+    if (this.router.translateUrl) {
+      const link = document.createElement('a');
+      link.href = this.router.translateUrl;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = tm.getTranslation('content-pages.fallback.help-translate');
+      notice.append(' ', link);
+    }
+    return notice;
+  }
+
+  getAnchorId() {
+    return decodeURIComponent(window.location.hash.slice(1));
+  }
+
+  restoreScroll(scrollY, anchorIndex) {
+    if (scrollY !== null) {
+      window.scrollTo(0, scrollY);
+    } else {
+      this.restoreAnchor(anchorIndex);
+    }
+  }
+
+  // Keep deep links working across language switches: headings with an
+  // explicit {#id} keep their id, others are matched by their position
+  restoreAnchor(previousIndex) {
+    const id = this.getAnchorId();
+    let target = id ? document.getElementById(id) : null;
+
+    if (id && !target && previousIndex !== -1) {
+      target = this.tableOfContents.headings[previousIndex] || null;
+      if (target) {
+        history.replaceState(history.state, '', `#${target.id}`);
+      }
+    }
+
+    if (target) {
+      target.scrollIntoView();
+    } else {
+      window.scrollTo(0, 0);
+    }
+  }
+
+  updatePageMeta() {
+    const tm = this.translationManager;
+    const keys = this.page.meta || {};
+
+    this.pageMeta.setKeys({
+      title: keys.title && tm.hasTranslation(keys.title) ? keys.title : 'content-pages.default-title',
+      description: keys.description && tm.hasTranslation(keys.description) ? keys.description : 'content-pages.default-description'
+    });
+    this.pageMeta.setValues(this.frontMatter);
+    this.applyPageMeta();
+  }
+
+  // Title, description, Open Graph and Twitter tags
+  applyPageMeta({ indexable = true } = {}) {
+    const { title } = this.pageMeta.apply();
+    this.pageMeta.setOptionalMeta('name', 'robots', indexable ? null : 'noindex');
     document.getElementById('page-title').textContent = title;
+  }
 
-    // Update description
-    const description = descriptions[contentType]?.[language] || descriptions[contentType]?.['en'] || 'LinuxToys documentation';
-    document.getElementById('page-description').setAttribute('content', description);
-    document.getElementById('og-description').setAttribute('content', description);
-    document.getElementById('twitter-description').setAttribute('content', description);
+  // Byline, tags and translation status from the front-matter
+  renderArticleDetails() {
+    const container = document.getElementById('article-details');
+    if (!container) return;
 
-    // Update og:title and twitter:title
-    document.getElementById('og-title').setAttribute('content', title);
-    document.getElementById('twitter-title').setAttribute('content', title);
+    const tm = this.translationManager;
+    const { author, date, tags, translation } = this.frontMatter;
+    const nodes = [];
+
+    const byline = [];
+    if (author) {
+      byline.push(tm.getTranslation('content-pages.article.author', { author }));
+    }
+    if (date) {
+      byline.push(tm.getTranslation('content-pages.article.published', { date: ContentLoader.parseDate(date) }));
+    }
+    if (byline.length) {
+      const p = document.createElement('p');
+      p.className = 'text-sm text-gray-400';
+      p.textContent = byline.join(' · ');
+      nodes.push(p);
+    }
+
+    if (tags) {
+      const list = document.createElement('ul');
+      list.className = 'article-tags';
+      list.setAttribute('aria-label', tm.getTranslation('content-pages.article.tags'));
+      [].concat(tags).forEach(tag => {
+        const item = document.createElement('li');
+        item.textContent = tag;
+        list.appendChild(item);
+      });
+      nodes.push(list);
+    }
+
+    const statusKey = `content-pages.translation-status.${translation}`;
+    if (translation && translation !== 'complete' && tm.hasTranslation(statusKey)) {
+      nodes.push(this.createNotice(statusKey));
+    }
+
+    // The whole page comes from a fallback language
+    if (this.contentLanguage && this.contentLanguage !== tm.currentLang) {
+      const nameOf = code => tm.getLanguage(code)?.name || code;
+      nodes.push(this.createNotice('content-pages.fallback.page', {
+        language: nameOf(tm.currentLang),
+        fallback: nameOf(this.contentLanguage)
+      }));
+    }
+
+    container.replaceChildren(...nodes);
+    container.classList.toggle('hidden', nodes.length === 0);
   }
 
-  showError() {
-    const loadingEl = document.getElementById('content-loading');
-    const contentEl = document.getElementById('markdown-content');
-    const errorEl = document.getElementById('content-error');
-    
-    loadingEl.classList.add('hidden');
-    contentEl.classList.add('hidden');
-    errorEl.classList.remove('hidden');
+  // Plain YYYY-MM-DD dates are local calendar days, not UTC midnight
+  static parseDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : value;
   }
 
-  // Method to programmatically navigate to content
-  static navigateToContent(contentType) {
-    window.location.href = `page-template.html?content=${contentType}`;
+  // The error view explains what went wrong; retry is offered for failures
+  // that may go away by themselves
+  showError(error = null) {
+    const tm = this.translationManager;
+    this.errorType = error instanceof ContentError ? error.type : 'render';
+
+    [['content-error-title', 'title'], ['content-error-message', 'message']].forEach(([id, part]) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.dataset.key = `content-pages.error.${this.errorType}.${part}`;
+        element.textContent = tm.getTranslation(element.dataset.key);
+      }
+    });
+    document.getElementById('content-retry')?.classList.toggle('hidden', !(error instanceof ContentError && error.retryable));
+
+    this.showView('content-error');
+    this.hideArticleExtras();
+
+    // Keep the page's own title rather than the previous page's
+    this.frontMatter = {};
+    if (this.page) {
+      this.updatePageMeta();
+    }
   }
-}
 
-// Add translations for the new keys
-const additionalTranslations = {
-  'en': {
-    'back-to-home': 'Back to Home',
-    'loading-content': 'Loading content...',
-    'error-title': 'Content not available',
-    'error-message': 'Sorry, the content for this page is not available in the selected language yet.',
-    'return-home': 'Return to home page',
-    'footer-description': 'Making Linux easier, one tool at a time.',
-    'footer-support': 'Support',
-    'footer-rights': 'All rights reserved.'
-  },
-  'pt': {
-    'back-to-home': 'Voltar ao Início',
-    'loading-content': 'Carregando conteúdo...',
-    'error-title': 'Conteúdo não disponível',
-    'error-message': 'Desculpe, o conteúdo desta página ainda não está disponível no idioma selecionado.',
-    'return-home': 'Voltar à página inicial',
-    'footer-description': 'Tornando o Linux mais fácil, uma ferramenta de cada vez.',
-    'footer-support': 'Suporte',
-    'footer-rights': 'Todos os direitos reservados.'
-  },
-  'es': {
-    'back-to-home': 'Volver al Inicio',
-    'loading-content': 'Cargando contenido...',
-    'error-title': 'Contenido no disponible',
-    'error-message': 'Lo sentimos, el contenido de esta página aún no está disponible en el idioma seleccionado.',
-    'return-home': 'Volver a la página de inicio',
-    'footer-description': 'Haciendo Linux más fácil, una herramienta a la vez.',
-    'footer-support': 'Soporte',
-    'footer-rights': 'Todos los derechos reservados.'
-  },
-  'fr': {
-    'back-to-home': 'Retour à l\'accueil',
-    'loading-content': 'Chargement du contenu...',
-    'error-title': 'Contenu non disponible',
-    'error-message': 'Désolé, le contenu de cette page n\'est pas encore disponible dans la langue sélectionnée.',
-    'return-home': 'Retourner à la page d\'accueil',
-    'footer-description': 'Rendre Linux plus facile, un outil à la fois.',
-    'footer-support': 'Support',
-    'footer-rights': 'Tous droits réservés.'
-  },
-  'de': {
-    'back-to-home': 'Zurück zur Startseite',
-    'loading-content': 'Inhalt wird geladen...',
-    'error-title': 'Inhalt nicht verfügbar',
-    'error-message': 'Entschuldigung, der Inhalt dieser Seite ist in der ausgewählten Sprache noch nicht verfügbar.',
-    'return-home': 'Zur Startseite zurückkehren',
-    'footer-description': 'Linux einfacher machen, ein Tool nach dem anderen.',
-    'footer-support': 'Support',
-    'footer-rights': 'Alle Rechte vorbehalten.'
-  },
-  'zh': {
-    'back-to-home': '返回首页',
-    'loading-content': '正在加载内容...',
-    'error-title': '内容不可用',
-    'error-message': '抱歉，此页面的内容在所选语言中尚不可用。',
-    'return-home': '返回首页',
-    'footer-description': '让Linux更简单，一次一个工具。',
-    'footer-support': '支持',
-    'footer-rights': '版权所有。'
-  },
-  'ja': {
-    'back-to-home': 'ホームに戻る',
-    'loading-content': 'コンテンツを読み込み中...',
-    'error-title': 'コンテンツが利用できません',
-    'error-message': '申し訳ございませんが、このページのコンテンツは選択した言語ではまだ利用できません。',
-    'return-home': 'ホームページに戻る',
-    'footer-description': 'Linuxをより簡単に、一度に一つのツールで。',
-    'footer-support': 'サポート',
-    'footer-rights': '全著作権所有。'
-  },
-  'ru': {
-    'back-to-home': 'Вернуться на главную',
-    'loading-content': 'Загрузка контента...',
-    'error-title': 'Контент недоступен',
-    'error-message': 'Извините, контент этой страницы пока недоступен на выбранном языке.',
-    'return-home': 'Вернуться на главную страницу',
-    'footer-description': 'Делаем Linux проще, по одному инструменту за раз.',
-    'footer-support': 'Поддержка',
-    'footer-rights': 'Все права защищены.'
-  },
-  'nl': {
-    'back-to-home': 'Terug naar Home',
-    'loading-content': 'Inhoud laden...',
-    'error-title': 'Inhoud niet beschikbaar',
-    'error-message': 'Sorry, de inhoud van deze pagina is nog niet beschikbaar in de geselecteerde taal.',
-    'return-home': 'Terug naar homepagina',
-    'footer-description': 'Linux gemakkelijker maken, één tool tegelijk.',
-    'footer-support': 'Ondersteuning',
-    'footer-rights': 'Alle rechten voorbehouden.'
-  },
-  'ga': {
-    'back-to-home': 'Ar Ais go Baile',
-    'loading-content': 'Ábhar á lódáil...',
-    'error-title': 'Ábhar nach bhfuil ar fáil',
-    'error-message': 'Tá brón orainn, níl an t-ábhar don leathanach seo ar fáil sa teanga roghnaithe fós.',
-    'return-home': 'Fill ar an leathanach baile',
-    'footer-description': 'Linux a dhéanamh níos éasca, uirlis amháin ag an am.',
-    'footer-support': 'Tacaíocht',
-    'footer-rights': 'Gach ceart ar cosaint.'
+  // Unknown slugs get their own view and are kept out of search indexes
+  showNotFound() {
+    this.loadToken++;
+    this.frontMatter = {};
+    this.errorType = null;
+    this.showView('content-not-found');
+    this.hideArticleExtras();
+
+    this.pageMeta.setKeys({ title: 'content-pages.not-found.title', description: 'content-pages.default-description' });
+    this.pageMeta.setValues({});
+    this.applyPageMeta({ indexable: false });
+    this.dispatchContentEvent('contentNotFound', this.translationManager.currentLang);
+  }
+
+  // Nothing to navigate or describe without content
+  hideArticleExtras() {
+    this.tableOfContents.destroy();
+    ['table-of-contents', 'article-details'].forEach(id => {
+      document.getElementById(id)?.classList.add('hidden');
+    });
   }
-};
 
-// Export for use in other scripts
-window.ContentLoader = ContentLoader;
-window.additionalTranslations = additionalTranslations;
+  // Method to programmatically navigate to content
+  static navigateToContent(slug) {
+    if (window.contentLoader) {
+      window.contentLoader.router.navigate(window.contentLoader.router.getPageUrl(slug));
+    } else {
+      window.location.href = `/${slug}/`;
+    }
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.ContentLoader = ContentLoader;
+  window.ContentError = ContentError;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ContentLoader, ContentError };
+}
@@ -0,0 +1,210 @@
+// History-API router for the content pages. Pages are registered in
+// content/pages.json ({ slug, source, meta: { title, description } }) and
+// served at clean URLs: /<slug>/, or /<lang>/<slug>/ for prerendered pages.
+// The registry's "translate" URL is where readers can help translate them.
+// Links to registered pages and relative markdown links ("cli-mode.md#flags")
+// are handled in place; back/forward restores the scroll position.
+class ContentRouter {
+  constructor(translationManager, { onRoute = null } = {}) {
+    this.translationManager = translationManager;
+    this.onRoute = onRoute; // (page or null, { scrollY }) => Promise
+    this.pages = [];
+    this.translateUrl = null;
+    this.current = null;
+    this.scrollTimer = null;
+  }
+
+  async loadRegistry() {
+    try {
+      const registry = await this.translationManager.loadJson('content/pages.json');
+      if (!Array.isArray(registry.pages)) {
+        throw new Error('Content registry has no "pages" list');
+      }
+      this.pages = registry.pages;
+      this.translateUrl = registry.translate || null;
+    } catch (error) {
+      console.error('Error loading content registry:', error);
+      this.pages = [];
+    }
+    return this.pages;
+  }
+
+  getPage(slug) {
+    return this.pages.find(page => page.slug === slug) || null;
+  }
+
+  findPageBySource(file) {
+    return this.pages.find(page => page.source === file) || null;
+  }
+
+  async init() {
+    await this.loadRegistry();
+
+    // Scroll positions are kept in history.state and restored by route()
+    if ('scrollRestoration' in history) {
+      history.scrollRestoration = 'manual';
+    }
+
+    const url = new URL(window.location.href);
+    const slug = this.getSlug(url);
+
+    // Links without a page (/, /<lang>/) belong to the home page
+    if (!slug) {
+      window.location.replace(this.getHomeUrl(url));
+      return;
+    }
+
+    // Legacy page-template.html?content=<slug> links become clean URLs
+    const page = this.getPage(slug);
+    if (page) {
+      const cleanUrl = this.getPageUrl(page.slug, url.hash);
+      if (cleanUrl !== `${url.pathname}${url.search}${url.hash}`) {
+        history.replaceState(history.state, '', cleanUrl);
+        this.translationManager.updateLanguageLinks();
+      }
+    }
+
+    document.addEventListener('click', event => this.handleClick(event));
+    window.addEventListener('popstate', event => this.handlePopState(event));
+    window.addEventListener('scroll', () => this.saveScrollPosition());
+
+    await this.route(slug, { scrollY: history.state?.scrollY ?? null });
+  }
+
+  // Static hosts answer unknown paths such as /handbook/ with 404.html,
+  // which sends the visitor here as /page-template.html?path=/handbook/.
+  // Runs before TranslationManager.init so a /<lang>/ prefix is seen.
+  static restoreRedirectedUrl() {
+    const redirected = new URL(window.location.href).searchParams.get('path');
+    if (redirected && redirected.startsWith('/') && !redirected.startsWith('//')) {
+      history.replaceState(history.state, '', `${redirected}${window.location.hash}`);
+    }
+  }
+
+  // Slug of a site URL: /handbook/, /pt/handbook/ or the legacy
+  // /page-template.html?content=handbook
+  getSlug(url) {
+    const legacy = url.searchParams.get('content');
+    if (legacy) return legacy;
+
+    const segments = url.pathname.split('/').filter(Boolean);
+    if (this.translationManager.getPathLanguage(url)) {
+      segments.shift();
+    }
+    const last = segments[segments.length - 1] || '';
+    if (last === 'index.html' || last === 'page-template.html') {
+      segments.pop();
+    } else if (/\.md$/i.test(last)) {
+      // Markdown links followed without the router, e.g. /en/handbook/cli-mode.md
+      const page = this.findPageBySource(last);
+      if (page) return page.slug;
+    }
+
+    return segments.join('/');
+  }
+
+  // Clean, root-relative URL of a page, keeping the language prefix or
+  // ?lang= in use
+  getPageUrl(slug, hash = '') {
+    const url = new URL(window.location.href);
+    const language = this.translationManager.getPathLanguage(url);
+    const lang = url.searchParams.get('lang');
+
+    url.pathname = language ? `/${language}/${slug}/` : `/${slug}/`;
+    url.search = '';
+    if (lang && !language) {
+      url.searchParams.set('lang', lang);
+    }
+    url.hash = hash;
+    return `${url.pathname}${url.search}${url.hash}`;
+  }
+
+  getHomeUrl(url) {
+    const language = this.translationManager.getPathLanguage(url) || url.searchParams.get('lang');
+    return language ? `/?lang=${encodeURIComponent(language)}` : '/';
+  }
+
+  async navigate(href, { replace = false } = {}) {
+    const url = new URL(href, window.location.href);
+    this.saveScrollPosition(true);
+
+    if (replace) {
+      history.replaceState({}, '', url.toString());
+    } else {
+      history.pushState({}, '', url.toString());
+    }
+    this.translationManager.updateLanguageLinks();
+
+    await this.route(this.getSlug(url), { scrollY: null });
+  }
+
+  async route(slug, { scrollY = null } = {}) {
+    const page = this.getPage(slug);
+    this.current = slug;
+    if (this.onRoute) {
+      await this.onRoute(page, { scrollY });
+    }
+  }
+
+  handlePopState(event) {
+    const slug = this.getSlug(new URL(window.location.href));
+    const scrollY = event.state?.scrollY ?? null;
+
+    // Moving between anchors of the same page only needs the scroll position
+    if (slug === this.current) {
+      if (scrollY !== null) window.scrollTo(0, scrollY);
+      return;
+    }
+
+    this.translationManager.updateLanguageLinks();
+    this.route(slug, { scrollY });
+  }
+
+  handleClick(event) {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+
+    const link = event.target.closest('a[href]');
+    if (!link || (link.target && link.target !== '_self') || link.hasAttribute('download')) return;
+
+    const href = this.resolveLink(link);
+    if (href) {
+      event.preventDefault();
+      this.navigate(href);
+    }
+  }
+
+  // Clean URL for links to registered pages, null for everything else
+  resolveLink(link) {
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin) return null;
+
+    // In-page anchors are left to the browser
+    if (url.pathname === window.location.pathname && url.search === window.location.search) return null;
+
+    // Registered pages and markdown links to their source ("cli-mode.md#flags")
+    const page = this.getPage(this.getSlug(url));
+    return page ? this.getPageUrl(page.slug, url.hash) : null;
+  }
+
+  // Remember where the visitor was, so back/forward can return there
+  saveScrollPosition(immediate = false) {
+    clearTimeout(this.scrollTimer);
+    const save = () => history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+
+    if (immediate) {
+      save();
+    } else {
+      this.scrollTimer = setTimeout(save, 150);
+    }
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.ContentRouter = ContentRouter;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ContentRouter };
+}
@@ -0,0 +1,64 @@
+// Disclosure (WAI-ARIA pattern): a button showing and hiding the region it
+// controls, with aria-expanded and aria-controls kept on the button. The
+// region is the button's aria-controls target, or its next sibling. The
+// label follows the state through two translation keys, so the page's
+// data-key translation keeps it current on a language change:
+//   <button class="toggle-button">…</button> <ul hidden>…</ul>
+class Disclosure {
+  static bound = new WeakSet();
+  static count = 0;
+
+  constructor(translationManager, button, { showKey = 'common.toggle.show', hideKey = 'common.toggle.less' } = {}) {
+    this.translationManager = translationManager;
+    this.button = button;
+    this.region = document.getElementById(button.getAttribute('aria-controls') || '') || button.nextElementSibling;
+    this.showKey = button.dataset.showKey || showKey;
+    this.hideKey = button.dataset.hideKey || hideKey;
+  }
+
+  // Turn the matching buttons of root into disclosures; safe to call again
+  static enhance(translationManager, root = document, selector = '.toggle-button') {
+    root.querySelectorAll(selector).forEach(button => {
+      if (Disclosure.bound.has(button)) return;
+      Disclosure.bound.add(button);
+      new Disclosure(translationManager, button).init();
+    });
+  }
+
+  init() {
+    if (!this.region) return this;
+
+    if (!this.region.id) {
+      this.region.id = `disclosure-${++Disclosure.count}`;
+    }
+    this.button.setAttribute('aria-controls', this.region.id);
+    this.button.addEventListener('click', () => this.toggle());
+    this.update(!this.region.hidden);
+    return this;
+  }
+
+  isExpanded() {
+    return this.button.getAttribute('aria-expanded') === 'true';
+  }
+
+  toggle(expanded = !this.isExpanded()) {
+    this.update(expanded);
+  }
+
+  update(expanded) {
+    this.region.hidden = !expanded;
+    this.button.setAttribute('aria-expanded', String(expanded));
+
+    const key = expanded ? this.hideKey : this.showKey;
+    this.button.setAttribute('data-key', key);
+    this.button.textContent = this.translationManager.getTranslation(key);
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.Disclosure = Disclosure;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Disclosure };
+}
@@ -0,0 +1,179 @@
+// Click-to-load stand-in for a third-party player (see Embeds). Until the
+// visitor agrees, only a local poster and a consent notice are shown, so
+// nothing is requested from the provider. Agreeing with "always load"
+// checked is remembered per provider in localStorage (embedConsent.<provider>)
+// and loads that provider's players right away from then on.
+//
+// Home page slots take their video from data/embeds.json:
+//   <div data-embed-slot="home-video"></div>
+//   { "home-video": { "provider": "youtube", "id": "...", "poster": "elements/..." } }
+class EmbedFacade {
+  static storagePrefix = 'embedConsent.';
+  static bound = new WeakSet();
+
+  constructor(translationManager, element) {
+    this.translationManager = translationManager;
+    this.element = element;
+    this.provider = element.dataset.embedProvider;
+    this.id = element.dataset.embedId;
+    this.poster = element.dataset.embedPoster || null;
+  }
+
+  static hasConsent(provider) {
+    return localStorage.getItem(EmbedFacade.storagePrefix + provider) === 'granted';
+  }
+
+  static setConsent(provider, granted) {
+    if (granted) {
+      localStorage.setItem(EmbedFacade.storagePrefix + provider, 'granted');
+    } else {
+      localStorage.removeItem(EmbedFacade.storagePrefix + provider);
+    }
+  }
+
+  // Facade element for a player, or null for unknown providers and ids
+  static create(translationManager, options, doc = document) {
+    const element = doc.createElement('div');
+    element.className = Embeds.wrapperClass;
+    return EmbedFacade.setup(translationManager, element, options) ? element : null;
+  }
+
+  // Turn an element into the facade of a player
+  static setup(translationManager, element, { provider, id, poster = null }) {
+    if (!Embeds.isValid(provider, id)) {
+      console.warn(`Invalid ${provider} embed "${id}"`);
+      return false;
+    }
+
+    element.classList.add('embed-facade');
+    element.dataset.embedProvider = provider;
+    element.dataset.embedId = id;
+    if (poster) element.dataset.embedPoster = poster;
+
+    new EmbedFacade(translationManager, element).render();
+    return true;
+  }
+
+  // Fill the page's data-embed-slot elements from data/embeds.json
+  static async initSlots(translationManager, { configPath = 'data/embeds.json' } = {}) {
+    const slots = document.querySelectorAll('[data-embed-slot]');
+    if (!slots.length) return;
+
+    let config;
+    try {
+      config = await translationManager.loadJson(configPath);
+    } catch (error) {
+      console.error('Error loading embeds:', error);
+      return;
+    }
+
+    slots.forEach(slot => {
+      EmbedFacade.setup(translationManager, slot, config[slot.dataset.embedSlot] || {});
+    });
+    EmbedFacade.enhance(translationManager, document);
+  }
+
+  // Make rendered (or prerendered) facades work; safe to call repeatedly
+  static enhance(translationManager, root) {
+    root.querySelectorAll('.embed-facade').forEach(element => {
+      if (EmbedFacade.bound.has(element)) return;
+      EmbedFacade.bound.add(element);
+      new EmbedFacade(translationManager, element).bind();
+    });
+  }
+
+  render() {
+    const doc = this.element.ownerDocument;
+    const nodes = [];
+
+    if (this.poster) {
+      const poster = doc.createElement('img');
+      poster.src = TranslationManager.sitePath(this.poster);
+      poster.alt = '';
+      poster.loading = 'lazy';
+      poster.className = 'absolute inset-0 w-full h-full object-cover opacity-40';
+      nodes.push(poster);
+    }
+
+    const panel = doc.createElement('div');
+    panel.className = 'relative h-full flex flex-col items-center justify-center gap-3 p-4 text-center';
+
+    const notice = doc.createElement('p');
+    notice.className = 'embed-notice text-sm text-gray-200 max-w-sm';
+
+    const button = doc.createElement('button');
+    button.type = 'button';
+    button.className = 'embed-load font-bold py-2 px-6 rounded-lg text-white transition duration-300 hover:opacity-80';
+    button.style.backgroundColor = '#e7b417';
+
+    const label = doc.createElement('label');
+    label.className = 'text-xs text-gray-300 flex items-center gap-2 cursor-pointer';
+    const remember = doc.createElement('input');
+    remember.type = 'checkbox';
+    remember.className = 'embed-remember';
+    label.append(remember, doc.createElement('span'));
+
+    panel.append(notice, button, label);
+    nodes.push(panel);
+
+    this.element.classList.add('relative', 'bg-neutral-900');
+    this.element.replaceChildren(...nodes);
+    this.applyTranslations();
+  }
+
+  applyTranslations() {
+    const tm = this.translationManager;
+    const args = { provider: Embeds.getProvider(this.provider).name };
+    const notice = this.element.querySelector('.embed-notice');
+    if (!notice) return;
+
+    notice.textContent = tm.getTranslation('common.embeds.notice', args);
+    this.element.querySelector('.embed-load').textContent = tm.getTranslation('common.embeds.load', args);
+    this.element.querySelector('label span').textContent = tm.getTranslation('common.embeds.remember', args);
+  }
+
+  bind() {
+    if (EmbedFacade.hasConsent(this.provider)) {
+      this.load();
+      return;
+    }
+
+    this.element.querySelector('.embed-load')?.addEventListener('click', () => {
+      const remember = this.element.querySelector('.embed-remember')?.checked;
+      this.load({ autoplay: true });
+      if (remember) {
+        EmbedFacade.setConsent(this.provider, true);
+        window.dispatchEvent(new CustomEvent('embedConsentGranted', { detail: { provider: this.provider } }));
+      }
+    });
+
+    // Consent given on another facade of the same provider
+    this.onConsent = event => {
+      if (event.detail.provider === this.provider) this.load();
+    };
+    this.onLanguageChanged = () => this.applyTranslations();
+    window.addEventListener('embedConsentGranted', this.onConsent);
+    window.addEventListener('languageChanged', this.onLanguageChanged);
+  }
+
+  load({ autoplay = false } = {}) {
+    if (this.element.querySelector('iframe')) return;
+
+    const frame = Embeds.createFrame(this.provider, this.id, this.element.ownerDocument, { autoplay });
+    if (!frame) return;
+
+    window.removeEventListener('embedConsentGranted', this.onConsent);
+    window.removeEventListener('languageChanged', this.onLanguageChanged);
+    this.element.classList.remove('embed-facade', 'relative', 'bg-neutral-900');
+    this.element.replaceChildren(frame);
+    if (autoplay) frame.focus();
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.EmbedFacade = EmbedFacade;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EmbedFacade };
+}
@@ -0,0 +1,67 @@
+// Third-party video players. The home page and the markdown pages share one
+// privacy setup (referrer policy, permissions, sandbox, no autoplay unless
+// asked), and both only create them through EmbedFacade, after consent.
+class Embeds {
+  static wrapperClass = 'w-full aspect-video rounded-lg shadow-lg overflow-hidden';
+
+  static providers = {
+    youtube: {
+      name: 'YouTube',
+      pattern: /^[A-Za-z0-9_-]{11}$/,
+      src: (id, autoplay) => `https://www.youtube.com/embed/${encodeURIComponent(id)}${autoplay ? '?autoplay=1' : ''}`,
+      title: 'YouTube video player',
+      attributes: {
+        allow: 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share',
+        referrerpolicy: 'strict-origin-when-cross-origin',
+        allowfullscreen: ''
+      }
+    },
+    twitch: {
+      name: 'Twitch',
+      pattern: /^[A-Za-z0-9_]{3,25}$/,
+      src: (channel, autoplay) => `https://player.twitch.tv/?channel=${encodeURIComponent(channel)}&parent=${window.location.hostname}&autoplay=${autoplay}`,
+      title: 'Twitch player',
+      attributes: {
+        scrolling: 'no',
+        sandbox: 'allow-forms allow-scripts allow-same-origin allow-popups allow-presentation allow-pointer-lock allow-orientation-lock allow-top-navigation-by-user-activation'
+      }
+    }
+  };
+
+  // Own properties only: "constructor" or "__proto__" are not providers
+  static getProvider(provider) {
+    return Object.prototype.hasOwnProperty.call(Embeds.providers, provider) ? Embeds.providers[provider] : null;
+  }
+
+  static isValid(provider, id) {
+    const config = Embeds.getProvider(provider);
+    return Boolean(config && config.pattern.test(id));
+  }
+
+  // The player's iframe; null for unknown providers and invalid ids
+  static createFrame(provider, id, doc = document, { autoplay = false } = {}) {
+    if (!Embeds.isValid(provider, id)) {
+      console.warn(`Invalid ${provider} embed "${id}"`);
+      return null;
+    }
+
+    const config = Embeds.getProvider(provider);
+    const frame = doc.createElement('iframe');
+    frame.src = config.src(id, autoplay);
+    frame.title = config.title;
+    frame.width = '100%';
+    frame.height = '100%';
+    frame.setAttribute('frameborder', '0');
+    frame.setAttribute('loading', 'lazy');
+    Object.entries(config.attributes).forEach(([name, value]) => frame.setAttribute(name, value));
+    return frame;
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.Embeds = Embeds;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Embeds };
+}
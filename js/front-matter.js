@@ -0,0 +1,96 @@
+// YAML front-matter for the markdown pages under content/. Only the subset
+// the pages need is supported: scalars (optionally quoted), inline lists
+// ([a, b]) and block lists ("- item" lines), and # comments.
+//
+//   ---
+//   title: Developer Handbook
+//   description: Complete guide for developing LinuxToys tools
+//   date: 2025-08-01
+//   author: psygreg
+//   tags: [bash, development]
+//   translation: outdated
+//   ---
+class FrontMatter {
+  static pattern = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+  // Split a markdown source into its front-matter data and body
+  static parse(source) {
+    const match = FrontMatter.pattern.exec(source);
+    if (!match) {
+      return { data: {}, body: source };
+    }
+
+    return {
+      data: FrontMatter.parseYaml(match[1]),
+      body: source.slice(match[0].length)
+    };
+  }
+
+  static parseYaml(yaml) {
+    const data = {};
+    let listKey = null;
+
+    yaml.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim() || line.trim().startsWith('#')) return;
+
+      const item = /^\s+-\s*(.*)$/.exec(line);
+      if (item && listKey) {
+        data[listKey].push(FrontMatter.parseScalar(item[1]));
+        return;
+      }
+
+      const entry = /^([A-Za-z0-9_-]+)\s*:\s*(.*)$/.exec(line);
+      if (!entry) {
+        console.warn(`Ignoring front-matter line ${index + 1}: "${line}"`);
+        return;
+      }
+
+      const [, key, rawValue] = entry;
+      const value = FrontMatter.stripComment(rawValue).trim();
+      if (value === '') {
+        // Start of a block list
+        data[key] = [];
+        listKey = key;
+      } else {
+        data[key] = FrontMatter.parseValue(value);
+        listKey = null;
+      }
+    });
+
+    return data;
+  }
+
+  static parseValue(value) {
+    if (value.startsWith('[') && value.endsWith(']')) {
+      const inner = value.slice(1, -1).trim();
+      return inner ? inner.split(',').map(part => FrontMatter.parseScalar(part)) : [];
+    }
+    return FrontMatter.parseScalar(value);
+  }
+
+  static parseScalar(value) {
+    const trimmed = value.trim();
+    const quoted = /^(["'])(.*)\1$/.exec(trimmed);
+    if (quoted) {
+      return quoted[1] === '"' ? quoted[2].replace(/\\"/g, '"') : quoted[2].replace(/''/g, '\'');
+    }
+    if (trimmed === 'true' || trimmed === 'false') {
+      return trimmed === 'true';
+    }
+    return trimmed;
+  }
+
+  // Drop a trailing "# comment" unless the value is quoted
+  static stripComment(value) {
+    if (/^\s*["']/.test(value)) return value;
+    return value.replace(/\s+#.*$/, '');
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.FrontMatter = FrontMatter;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { FrontMatter };
+}
@@ -0,0 +1,338 @@
+// Install command and CLI-mode manifest builder of the home page. The tools
+// come from data/tools.json, grouped by the categories of
+// home.tools.categories:
+//   { "install": "<install command>",
+//     "manifest": { "filename", "header", "run": "... {file}" },
+//     "categories": [{ "id": "devs", "tools": [{ "id", "name" }] }] }
+// A tool's id is the name LinuxToys knows it by, one per manifest line
+// below the header. Picking tools turns the install command into "install,
+// then run the manifest"; the manifest can be downloaded, or an existing one
+// imported to edit it. Entries of an imported manifest that the page does
+// not list are kept as they are. Every tool links to its section of the
+// knowledge base, looked up in the search index (see linkDocs).
+class InstallBuilder {
+  constructor(translationManager, {
+    containerId = 'install-builder',
+    commandId = 'install-code',
+    copyButtonId = 'copy-button',
+    configPath = 'data/tools.json',
+    docsPage = 'knowledgebase'
+  } = {}) {
+    this.translationManager = translationManager;
+    this.router = new ContentRouter(translationManager);
+    this.docsPage = docsPage;
+    this.container = document.getElementById(containerId);
+    this.command = document.getElementById(commandId);
+    this.copyButton = document.getElementById(copyButtonId);
+    this.configPath = configPath;
+    // The page's own command stands in until the config says otherwise
+    this.config = { install: this.command?.textContent.trim() || '', manifest: {}, categories: [] };
+    this.extraEntries = []; // imported entries without a checkbox
+    this.copyTimer = null;
+  }
+
+  async load() {
+    try {
+      const config = await this.translationManager.loadJson(this.configPath);
+      this.config = {
+        install: config.install || this.config.install,
+        manifest: config.manifest || {},
+        categories: config.categories || []
+      };
+    } catch (error) {
+      console.error('Error loading tools:', error);
+    }
+    return this.config;
+  }
+
+  async init() {
+    await this.load();
+    this.render();
+    this.copyButton?.addEventListener('click', () => this.copyCommand());
+    this.update();
+    return this;
+  }
+
+  get manifestFilename() {
+    return this.config.manifest.filename || 'manifest.txt';
+  }
+
+  // Without a header line there is no manifest to build or import
+  get hasManifest() {
+    return Boolean(this.config.manifest.header);
+  }
+
+  // Manifest entries of a file's text, or null when the text is not a
+  // manifest (its first line is not the header). Comments, blank lines and
+  // repeated entries are dropped.
+  static parseManifest(text, header) {
+    const lines = text.split(/\r?\n/).map(line => line.trim());
+    const first = lines.findIndex(Boolean);
+    if (first === -1 || lines[first].toLowerCase() !== header.toLowerCase()) return null;
+
+    return [...new Set(lines.slice(first + 1).filter(line => line && !line.startsWith('#')))];
+  }
+
+  static buildManifest(header, entries) {
+    return `${header}\n\n${entries.map(entry => `${entry}\n`).join('')}`;
+  }
+
+  // Selected tools in the page's order, then the kept imported entries
+  get entries() {
+    const checked = [...this.container.querySelectorAll('.tool-options input:checked')].map(input => input.value);
+    return [...checked, ...this.extraEntries];
+  }
+
+  getManifest() {
+    return this.hasManifest ? InstallBuilder.buildManifest(this.config.manifest.header, this.entries) : '';
+  }
+
+  // Installing alone, or installing and then running the manifest
+  getCommand() {
+    const { install, manifest } = this.config;
+    if (!this.entries.length || !manifest.run || !this.hasManifest) return install;
+    return `${install} && ${manifest.run.replace('{file}', this.manifestFilename)}`;
+  }
+
+  render() {
+    if (!this.container) return;
+
+    const categories = this.config.categories.filter(category => category.tools?.length).map(category => {
+      const group = document.createElement('div');
+      group.className = 'rounded-lg bg-neutral-800 p-4';
+
+      const heading = document.createElement('h4');
+      heading.className = 'font-semibold mb-2';
+      this.setText(heading, `home.tools.categories.${category.id}`);
+
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'toggle-button text-sm font-semibold text-[#e7b417] hover:underline';
+
+      const list = document.createElement('ul');
+      list.className = 'tool-options mt-3 space-y-1';
+      list.hidden = true;
+      category.tools.forEach(tool => {
+        const item = document.createElement('li');
+        item.className = 'flex items-center justify-between gap-2';
+        const label = document.createElement('label');
+        label.className = 'flex items-center gap-2 text-sm text-gray-300 cursor-pointer';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = tool.id;
+        input.className = 'accent-[#e7b417]';
+        label.append(input, tool.name);
+        item.append(label, this.createDocsLink(tool));
+        list.appendChild(item);
+      });
+
+      group.append(heading, toggle, list);
+      return group;
+    });
+
+    const grid = document.createElement('div');
+    grid.className = 'grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4';
+    grid.append(...categories);
+    grid.addEventListener('change', () => this.update());
+
+    this.container.replaceChildren(grid, this.renderOutput());
+    Disclosure.enhance(this.translationManager, grid);
+    this.linkDocs();
+  }
+
+  createDocsLink(tool) {
+    const link = document.createElement('a');
+    link.className = 'tool-docs shrink-0 text-gray-400 hover:text-[#e7b417]';
+    link.dataset.tool = tool.name;
+    link.target = '_blank';
+    link.rel = 'noopener';
+
+    const label = document.createElement('span');
+    label.className = 'sr-only';
+    this.setText(label, 'home.install.builder.docs', { tool: tool.name });
+
+    link.appendChild(label);
+    link.insertAdjacentHTML('beforeend', InstallBuilder.docsIcon);
+    return link;
+  }
+
+  static docsIcon = '<svg class="h-4 w-4" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24" aria-hidden="true">'
+    + '<path stroke-linecap="round" stroke-linejoin="round" d="M12 16v-4m0-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>';
+
+  // Point every tool at its knowledge-base section, found by the tool's name
+  // in the given SearchIndex; without one (or a match) at the page itself.
+  // Called again when the language, and with it the index, changes.
+  linkDocs(searchIndex = null) {
+    this.container?.querySelectorAll('.tool-docs').forEach(link => {
+      const section = searchIndex && searchIndex.findSection(link.dataset.tool, this.docsPage);
+      link.href = this.router.getPageUrl(this.docsPage, section && section.id ? `#${section.id}` : '');
+    });
+  }
+
+  renderOutput() {
+    const output = document.createElement('div');
+    output.className = 'mt-6 rounded-lg bg-neutral-800 p-4';
+
+    const status = document.createElement('p');
+    status.className = 'builder-status font-semibold';
+    status.setAttribute('aria-live', 'polite');
+
+    const previewLabel = document.createElement('p');
+    previewLabel.id = 'manifest-preview-label';
+    previewLabel.className = 'mt-3 text-sm text-gray-400';
+    this.setText(previewLabel, 'home.install.builder.preview', { file: this.manifestFilename });
+
+    const preview = document.createElement('pre');
+    preview.className = 'manifest-preview mt-1 max-h-60 overflow-auto rounded bg-neutral-900 p-3 text-sm text-gray-300';
+    preview.setAttribute('aria-labelledby', previewLabel.id);
+
+    const button = (className, key) => {
+      const element = document.createElement('button');
+      element.type = 'button';
+      element.className = `${className} font-semibold py-2 px-4 rounded-lg transition duration-300 disabled:opacity-50`;
+      this.setText(element, key);
+      return element;
+    };
+    const download = button('builder-download text-white bg-[#e7b417] hover:opacity-80', 'home.install.builder.download');
+    const importButton = button('builder-import text-white bg-neutral-700 hover:bg-neutral-600', 'home.install.builder.import');
+    const clear = button('builder-clear text-gray-300 hover:text-white', 'home.install.builder.clear');
+
+    const file = document.createElement('input');
+    file.type = 'file';
+    file.accept = '.txt,text/plain';
+    file.hidden = true;
+
+    const actions = document.createElement('div');
+    actions.className = 'mt-4 flex flex-wrap gap-3';
+    actions.append(download, importButton, clear, file);
+
+    const message = document.createElement('p');
+    message.className = 'builder-message hidden mt-3 text-sm text-gray-400';
+    message.setAttribute('role', 'status');
+
+    download.addEventListener('click', () => this.download());
+    importButton.addEventListener('click', () => file.click());
+    file.addEventListener('change', () => {
+      if (file.files[0]) this.importFile(file.files[0]);
+      file.value = '';
+    });
+    clear.addEventListener('click', () => this.setEntries([]));
+
+    output.append(status, previewLabel, preview, actions, message);
+    return output;
+  }
+
+  // Text of a data-key element, so the page's translation pass keeps it in
+  // the current language
+  setText(element, key, args = {}) {
+    element.dataset.key = key;
+    if (Object.keys(args).length) {
+      element.dataset.args = JSON.stringify(args);
+    }
+    element.textContent = this.translationManager.getTranslation(key, args);
+  }
+
+  update() {
+    if (!this.container) return;
+
+    const entries = this.entries;
+    this.setText(this.container.querySelector('.builder-status'), 'home.install.builder.selected', { count: entries.length });
+    this.container.querySelector('.manifest-preview').textContent = this.getManifest();
+    this.container.querySelector('.builder-download').disabled = entries.length === 0 || !this.hasManifest;
+    this.container.querySelector('.builder-import').disabled = !this.hasManifest;
+
+    if (this.command) {
+      this.command.textContent = this.getCommand();
+    }
+  }
+
+  // Check exactly the given entries; those without a checkbox are kept aside
+  setEntries(entries) {
+    const inputs = [...this.container.querySelectorAll('.tool-options input')];
+    const known = new Set(inputs.map(input => input.value));
+    inputs.forEach(input => {
+      input.checked = entries.includes(input.value);
+    });
+    this.extraEntries = entries.filter(entry => !known.has(entry));
+
+    // Open the categories that have something checked
+    this.container.querySelectorAll('.toggle-button').forEach(toggle => {
+      const list = toggle.nextElementSibling;
+      if (list.querySelector('input:checked') && list.hidden) toggle.click();
+    });
+    this.showMessage(null);
+    this.update();
+  }
+
+  async importFile(file) {
+    if (!this.hasManifest) return;
+
+    let text = null;
+    try {
+      text = await file.text();
+    } catch (error) {
+      console.error(`Error reading ${file.name}:`, error);
+    }
+
+    const entries = text === null ? null : InstallBuilder.parseManifest(text, this.config.manifest.header);
+    if (!entries) {
+      this.showMessage('home.install.builder.invalid', { file: file.name });
+      return;
+    }
+
+    this.setEntries(entries);
+    this.showMessage('home.install.builder.imported', { count: entries.length, file: file.name });
+    if (this.extraEntries.length) {
+      const kept = document.createElement('span');
+      kept.className = 'block';
+      this.setText(kept, 'home.install.builder.kept', { entries: this.extraEntries.join(', ') });
+      this.container.querySelector('.builder-message').appendChild(kept);
+    }
+  }
+
+  showMessage(key, args = {}) {
+    const message = this.container.querySelector('.builder-message');
+    message.classList.toggle('hidden', !key);
+    message.replaceChildren();
+    if (key) {
+      const text = document.createElement('span');
+      this.setText(text, key, args);
+      message.appendChild(text);
+    }
+  }
+
+  download() {
+    if (!this.hasManifest) return;
+
+    const url = URL.createObjectURL(new Blob([this.getManifest()], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = this.manifestFilename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  async copyCommand() {
+    try {
+      await navigator.clipboard.writeText(this.getCommand());
+    } catch (error) {
+      console.error('Failed to copy:', error);
+      return;
+    }
+
+    // The copy icon turns into a check mark for a moment
+    this.copyButton.classList.add('copied');
+    clearTimeout(this.copyTimer);
+    this.copyTimer = setTimeout(() => this.copyButton.classList.remove('copied'), 1500);
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.InstallBuilder = InstallBuilder;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { InstallBuilder };
+}
@@ -0,0 +1,88 @@
+// Header language switcher shared by every page. The options are rendered
+// from the language manifest loaded by TranslationManager.
+class LanguageDropdown {
+  constructor(translationManager, { buttonId = 'language-dropdown-btn', menuId = 'language-dropdown', labelId = 'current-lang' } = {}) {
+    this.translationManager = translationManager;
+    this.button = document.getElementById(buttonId);
+    this.menu = document.getElementById(menuId);
+    this.label = document.getElementById(labelId);
+  }
+
+  init() {
+    if (!this.button || !this.menu) return this;
+
+    this.render();
+    this.translationManager.updateLanguageButtons();
+    this.sync();
+
+    // Choosing a language closes the menu and leaves the focus on its button
+    this.menuButton = new MenuButton(this.button, this.menu, {
+      onSelect: option => {
+        this.selectLanguage(option.dataset.lang);
+      }
+    }).init();
+
+    window.addEventListener('languageChanged', () => this.sync());
+    return this;
+  }
+
+  async selectLanguage(code) {
+    if (code === this.translationManager.currentLang) return;
+    await this.translationManager.setLanguage(code);
+
+    // Re-rendered content may have taken the focus with it
+    if (!document.activeElement || document.activeElement === document.body) {
+      this.button.focus();
+    }
+  }
+
+  formatLabel(code) {
+    const language = this.translationManager.getLanguage(code);
+    return language ? `${language.flag} ${language.label}` : code.toUpperCase();
+  }
+
+  render() {
+    const languages = this.translationManager.languages;
+
+    const options = languages.map(language => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.id = `lang-${language.code}`;
+      option.setAttribute('role', 'menuitemradio');
+      option.setAttribute('aria-checked', 'false');
+      option.className = 'block w-full px-3 py-2 text-sm text-left bg-gray-700 text-gray-300 first:rounded-t-md last:rounded-b-md hover:bg-neutral-600 focus:bg-neutral-600 focus:outline-none aria-checked:bg-[#e64845] aria-checked:text-white transition duration-300';
+      option.dataset.lang = language.code;
+      option.lang = language.code;
+      option.dir = language.dir || 'ltr';
+      option.title = language.name;
+      option.textContent = this.formatLabel(language.code);
+      return option;
+    });
+
+    this.menu.replaceChildren(...options);
+    return options;
+  }
+
+  sync() {
+    if (this.label) {
+      this.label.textContent = this.formatLabel(this.translationManager.currentLang);
+    }
+    // The button only shows a flag and a code
+    const current = this.translationManager.getLanguage(this.translationManager.currentLang);
+    this.button.setAttribute('aria-label', this.translationManager.getTranslation('common.language-menu', {
+      language: current ? current.name : this.translationManager.currentLang
+    }));
+  }
+
+  close() {
+    this.menuButton?.close({ restoreFocus: false });
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.LanguageDropdown = LanguageDropdown;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LanguageDropdown };
+}
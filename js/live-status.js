@@ -0,0 +1,181 @@
+// Live indicator of the home page's Live section, polled from a status feed.
+// The feed is any JSON endpoint (data/live-status.json is a stand-in to edit
+// during development; set the container's data-endpoint to the real one):
+//   { "live": false, "title": "...", "category": "...", "startedAt": "<ISO>",
+//     "scheduled": { "title": "...", "category": "...", "startsAt": "<ISO>" } }
+// title, category and startedAt describe the current stream while live, and
+// the last one otherwise; scheduled is optional. Times are shown in the
+// visitor's timezone, formatted for the selected language.
+class LiveStatus {
+  constructor(translationManager, {
+    containerId = 'live-status',
+    badgeId = 'live-badge',
+    endpoint = null,
+    interval = 60000
+  } = {}) {
+    this.translationManager = translationManager;
+    this.container = document.getElementById(containerId);
+    this.badge = document.getElementById(badgeId);
+    this.endpoint = endpoint || this.container?.dataset.endpoint || 'data/live-status.json';
+    this.interval = interval;
+    this.status = null;
+    this.timer = null;
+  }
+
+  init() {
+    if (!this.container) return this;
+
+    this.render();
+
+    window.addEventListener('languageChanged', () => this.render());
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.stop();
+      } else {
+        this.poll();
+      }
+    });
+    window.addEventListener('online', () => this.poll());
+
+    if (!document.hidden) this.poll();
+    return this;
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Stop polling and hide the status (the prerender does this, as a status
+  // baked into the static pages would be stale)
+  clear() {
+    this.stop();
+    this.status = null;
+    this.render();
+  }
+
+  // Fetch the feed now and every interval while the page is visible. A
+  // failed request keeps the last known status.
+  async poll() {
+    this.stop();
+    try {
+      this.status = LiveStatus.normalize(await this.fetchStatus());
+      this.render();
+    } catch (error) {
+      console.warn('Live status unavailable:', error.message);
+    }
+    if (!document.hidden) {
+      this.timer = setTimeout(() => this.poll(), this.interval);
+    }
+  }
+
+  async fetchStatus() {
+    // no-store also keeps the service worker from answering from its cache
+    const response = await fetch(TranslationManager.resolveSitePath(this.endpoint), { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${this.endpoint}`);
+    }
+    return response.json();
+  }
+
+  // Keep the fields the section shows; dates that do not parse are dropped,
+  // and so is a scheduled stream whose start has passed
+  static normalize(data) {
+    const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    const date = value => {
+      const parsed = value ? new Date(value) : null;
+      return parsed && !Number.isNaN(parsed.getTime()) ? parsed : null;
+    };
+
+    const startsAt = data?.scheduled && date(data.scheduled.startsAt);
+    const scheduled = startsAt && startsAt.getTime() > Date.now()
+      ? { title: text(data.scheduled.title), category: text(data.scheduled.category), startsAt }
+      : null;
+
+    return {
+      live: data?.live === true,
+      title: text(data?.title),
+      category: text(data?.category),
+      startedAt: date(data?.startedAt),
+      scheduled
+    };
+  }
+
+  render() {
+    const status = this.status;
+    this.badge?.classList.toggle('hidden', !status?.live);
+    this.container.classList.toggle('hidden', !status);
+    if (!status) {
+      delete this.container.dataset.state;
+      this.container.replaceChildren();
+      return;
+    }
+
+    this.container.dataset.state = status.live ? 'live' : 'offline';
+    this.container.replaceChildren(...(status.live ? this.renderLive(status) : this.renderOffline(status)));
+  }
+
+  renderLive({ title, category, startedAt }) {
+    const tm = this.translationManager;
+    const nodes = [];
+
+    if (title) nodes.push(this.createLine('text-xl font-semibold text-white', title));
+
+    const details = [];
+    if (category) details.push(tm.getTranslation('home.live.status.playing', { category }));
+    if (startedAt) details.push(tm.getTranslation('home.live.status.since', { start: startedAt }));
+    if (details.length) {
+      nodes.push(this.createLine('text-sm text-gray-400', details.join(' · ')));
+    }
+    return nodes;
+  }
+
+  renderOffline({ title, category, startedAt, scheduled }) {
+    const tm = this.translationManager;
+    // The page may have stayed open past the start since the last poll
+    const upcoming = scheduled && scheduled.startsAt.getTime() > Date.now() ? scheduled : null;
+    const list = document.createElement('dl');
+    list.className = 'grid grid-cols-[auto_1fr] gap-x-4 gap-y-2 text-sm';
+
+    const addEntry = (labelKey, stream, when, dateKey) => {
+      const term = document.createElement('dt');
+      term.className = 'font-semibold text-gray-300';
+      term.textContent = tm.getTranslation(labelKey);
+
+      const description = document.createElement('dd');
+      description.className = 'text-gray-400';
+      const parts = [stream.title, stream.category].filter(Boolean);
+      if (parts.length) description.append(`${parts.join(' — ')} · `);
+      const time = document.createElement('time');
+      time.dateTime = when.toISOString();
+      time.textContent = tm.getTranslation(dateKey, { start: when });
+      description.appendChild(time);
+
+      list.append(term, description);
+    };
+
+    if (startedAt) addEntry('home.live.status.last', { title, category }, startedAt, 'home.live.status.last-date');
+    if (upcoming) {
+      addEntry('home.live.status.next', upcoming, upcoming.startsAt, 'home.live.status.next-date');
+    }
+
+    const nodes = list.children.length ? [list] : [];
+    if (!upcoming) nodes.push(this.createLine('mt-2 text-sm text-gray-400', tm.getTranslation('home.live.status.none')));
+    return nodes;
+  }
+
+  createLine(className, text) {
+    const line = document.createElement('p');
+    line.className = className;
+    line.textContent = text;
+    return line;
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.LiveStatus = LiveStatus;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LiveStatus };
+}
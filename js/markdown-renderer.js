@@ -0,0 +1,265 @@
+// Markdown pipeline for the content pages: marked with the site's block
+// extensions, then an allowlist sanitiser, shell highlighting with copy
+// buttons and video embeds. The HTML from marked is never assigned to the
+// page directly; only allowlisted elements and attributes survive.
+//
+// Extensions:
+//   :::note Optional title        admonitions: note, tip, warning
+//   Text in **markdown**.
+//   :::
+//
+//   {{< youtube ZF6xB1ucvOU >}}   video embeds, see Embeds
+//   {{< twitch psygreg >}}
+class MarkdownRenderer {
+  // Elements removed together with their content
+  static droppedTags = new Set([
+    'script', 'style', 'iframe', 'object', 'embed', 'form', 'textarea', 'select', 'button',
+    'link', 'meta', 'base', 'svg', 'math', 'template', 'noscript', 'frame', 'frameset'
+  ]);
+
+  // Allowed elements and their attributes; anything else is unwrapped
+  static allowedTags = {
+    a: ['href', 'title'],
+    abbr: ['title'],
+    aside: ['class', 'role'],
+    b: [],
+    blockquote: [],
+    br: [],
+    code: ['class'],
+    del: [],
+    details: [],
+    div: ['class', 'data-embed', 'data-embed-id'],
+    em: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    hr: [],
+    i: [],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    input: ['type', 'checked', 'disabled'],
+    kbd: [],
+    li: [],
+    mark: [],
+    ol: ['start'],
+    p: ['class'],
+    pre: [],
+    s: [],
+    span: ['class'],
+    strong: [],
+    sub: [],
+    summary: [],
+    sup: [],
+    table: [], thead: [], tbody: [], tr: [],
+    th: ['align'],
+    td: ['align'],
+    ul: []
+  };
+
+  static urlAttributes = ['href', 'src'];
+
+  constructor(translationManager) {
+    this.translationManager = translationManager;
+    this.boundButtons = new WeakSet(); // not an attribute: prerendered HTML would keep it
+    this.marked = new marked.Marked({ gfm: true });
+    this.marked.use({ extensions: [this.admonitionExtension(), MarkdownRenderer.embedExtension()] });
+  }
+
+  admonitionExtension() {
+    const renderer = this;
+    return {
+      name: 'admonition',
+      level: 'block',
+      start: src => src.match(/^:::/m)?.index,
+      tokenizer(src) {
+        const match = /^:::(note|tip|warning)(?:[ \t]+([^\n]*))?\n([\s\S]*?)\n:::[ \t]*(?:\n|$)/.exec(src);
+        if (!match) return undefined;
+
+        return {
+          type: 'admonition',
+          raw: match[0],
+          kind: match[1],
+          titleTokens: this.lexer.inlineTokens((match[2] || '').trim()),
+          tokens: this.lexer.blockTokens(match[3], [])
+        };
+      },
+      renderer(token) {
+        const title = token.titleTokens.length
+          ? this.parser.parseInline(token.titleTokens)
+          : MarkdownRenderer.escape(renderer.translationManager.getTranslation(`content-pages.admonition.${token.kind}`));
+        return `<aside class="admonition admonition-${token.kind}" role="note">`
+          + `<p class="admonition-title">${title}</p>`
+          + `${this.parser.parse(token.tokens)}</aside>\n`;
+      }
+    };
+  }
+
+  static embedExtension() {
+    return {
+      name: 'embed',
+      level: 'block',
+      start: src => src.match(/^\{\{</m)?.index,
+      tokenizer(src) {
+        const match = /^\{\{<\s*(youtube|twitch)\s+([^\s>]+)\s*>\}\}[ \t]*(?:\n|$)/.exec(src);
+        if (!match) return undefined;
+        return { type: 'embed', raw: match[0], provider: match[1], id: match[2] };
+      },
+      // Placeholder, replaced with the player after sanitising
+      renderer(token) {
+        return `<div data-embed="${MarkdownRenderer.escape(token.provider)}" data-embed-id="${MarkdownRenderer.escape(token.id)}"></div>\n`;
+      }
+    };
+  }
+
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Markdown split at its h2 headings into [{ id, markdown }], starting with
+  // the text before the first heading (id null). Ids are the explicit {#id}
+  // of the heading, or else the slug of its text, so sections of different
+  // languages match when their headings carry the same {#id}.
+  splitSections(markdown) {
+    const sections = [{ id: null, markdown: '' }];
+    this.marked.lexer(markdown).forEach(token => {
+      if (token.type === 'heading' && token.depth === 2) {
+        const explicit = /\{#([A-Za-z0-9_-]+)\}\s*$/.exec(token.text);
+        sections.push({ id: explicit ? explicit[1] : TableOfContents.slugify(token.text), markdown: '' });
+      }
+      sections[sections.length - 1].markdown += token.raw;
+    });
+    return sections;
+  }
+
+  // Sanitised DOM for a markdown document
+  render(markdown, doc = document) {
+    const template = doc.createElement('template');
+    template.innerHTML = this.marked.parse(markdown);
+
+    const fragment = template.content;
+    MarkdownRenderer.sanitize(fragment);
+    this.decorate(fragment, doc);
+    return doc.importNode(fragment, true);
+  }
+
+  static sanitize(root) {
+    Array.from(root.childNodes).forEach(node => {
+      if (node.nodeType === Node.COMMENT_NODE) {
+        node.remove();
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = node.tagName.toLowerCase();
+      if (MarkdownRenderer.droppedTags.has(tag)) {
+        node.remove();
+        return;
+      }
+
+      MarkdownRenderer.sanitize(node);
+
+      const allowed = Object.prototype.hasOwnProperty.call(MarkdownRenderer.allowedTags, tag)
+        ? MarkdownRenderer.allowedTags[tag]
+        : null;
+      if (!allowed || (tag === 'input' && node.getAttribute('type') !== 'checkbox')) {
+        node.replaceWith(...node.childNodes);
+        return;
+      }
+
+      Array.from(node.attributes).forEach(({ name, value }) => {
+        const unsafeUrl = MarkdownRenderer.urlAttributes.includes(name) && !RichText.isSafeUrl(value);
+        if (!allowed.includes(name) || unsafeUrl) {
+          node.removeAttribute(name);
+        }
+      });
+
+      if (tag === 'input') {
+        node.setAttribute('disabled', '');
+      }
+      if (tag === 'a' && /^https?:/i.test(node.getAttribute('href') || '')) {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer');
+      }
+    });
+  }
+
+  // Site-specific additions, built from DOM nodes after sanitising. Embeds
+  // start as click-to-load facades, like the players on the home page.
+  decorate(root, doc) {
+    root.querySelectorAll('div[data-embed]').forEach(placeholder => {
+      const facade = EmbedFacade.create(this.translationManager, {
+        provider: placeholder.dataset.embed,
+        id: placeholder.dataset.embedId
+      }, doc);
+      if (facade) {
+        facade.classList.add('my-6');
+        placeholder.replaceWith(facade);
+      } else {
+        placeholder.remove();
+      }
+    });
+
+    root.querySelectorAll('pre > code').forEach(code => {
+      const language = (/(?:^|\s)language-(\S+)/.exec(code.className) || [])[1];
+      if (!ShellHighlighter.isShell(language)) return;
+
+      ShellHighlighter.highlight(code);
+      code.parentElement.classList.add('code-block');
+      code.parentElement.appendChild(this.createCopyButton(doc));
+    });
+  }
+
+  createCopyButton(doc) {
+    const label = this.translationManager.getTranslation('content-pages.code.copy');
+    const button = doc.createElement('button');
+    button.type = 'button';
+    button.className = 'code-copy';
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.innerHTML = MarkdownRenderer.copyIcon;
+    return button;
+  }
+
+  static copyIcon = '<svg class="h-4 w-4" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24" aria-hidden="true">'
+    + '<path stroke-linecap="round" stroke-linejoin="round" d="M8 3h8a2 2 0 012 2v12a2 2 0 01-2 2H8a2 2 0 01-2-2V5a2 2 0 012-2z"/>'
+    + '<path stroke-linecap="round" stroke-linejoin="round" d="M8 7h8"/></svg>';
+
+  static copiedIcon = '<svg class="h-4 w-4" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24" aria-hidden="true">'
+    + '<path stroke-linecap="round" stroke-linejoin="round" d="M5 13l4 4L19 7"/></svg>';
+
+  // Copy buttons and embeds of rendered or prerendered content. Like the
+  // install command's copy button, the icon turns into a check mark for a
+  // moment.
+  enhance(root) {
+    EmbedFacade.enhance(this.translationManager, root);
+
+    root.querySelectorAll('.code-copy').forEach(button => {
+      if (this.boundButtons.has(button)) return;
+      this.boundButtons.add(button);
+
+      button.addEventListener('click', () => {
+        const code = button.parentElement.querySelector('code');
+        navigator.clipboard.writeText(code.textContent.replace(/\n$/, '')).then(() => {
+          const label = button.getAttribute('aria-label');
+          button.innerHTML = MarkdownRenderer.copiedIcon;
+          button.setAttribute('aria-label', this.translationManager.getTranslation('common.copied-clipboard'));
+
+          setTimeout(() => {
+            button.innerHTML = MarkdownRenderer.copyIcon;
+            button.setAttribute('aria-label', label);
+          }, 1500);
+        }).catch(error => console.warn('Could not copy to clipboard:', error));
+      });
+    });
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.MarkdownRenderer = MarkdownRenderer;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MarkdownRenderer };
+}
@@ -0,0 +1,153 @@
+// Menu button (WAI-ARIA pattern): a button opening a menu of actions or
+// choices. The button carries aria-haspopup, aria-expanded and
+// aria-controls; the items (role menuitem, or menuitemradio with
+// aria-checked for a choice) are reached with the arrow keys, Home, End or
+// their first letter. Escape closes the menu and puts focus back on the
+// button, as does choosing an item. popup is the element shown and hidden,
+// when the menu sits in a larger panel (the share menu's QR code).
+class MenuButton {
+  static itemSelector = '[role="menuitem"], [role="menuitemradio"]';
+
+  constructor(button, menu, { popup = menu, onOpen = null, onSelect = null } = {}) {
+    this.button = button;
+    this.menu = menu;
+    this.popup = popup;
+    this.onOpen = onOpen; // called before the menu shows, e.g. to refresh its items
+    this.onSelect = onSelect; // (item, event); returning false keeps the menu open
+  }
+
+  init() {
+    this.menu.setAttribute('role', 'menu');
+    if (this.button.id) this.menu.setAttribute('aria-labelledby', this.button.id);
+    this.button.setAttribute('aria-haspopup', 'menu');
+    this.button.setAttribute('aria-controls', this.menu.id);
+    this.button.setAttribute('aria-expanded', 'false');
+
+    this.button.addEventListener('click', event => {
+      event.stopPropagation();
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+    this.button.addEventListener('keydown', event => this.handleButtonKey(event));
+    this.menu.addEventListener('keydown', event => this.handleMenuKey(event));
+    this.menu.addEventListener('click', event => this.handleClick(event));
+
+    // Clicking anywhere else closes the menu without taking the focus
+    document.addEventListener('click', event => {
+      if (this.isOpen() && !this.popup.contains(event.target) && !this.button.contains(event.target)) {
+        this.close({ restoreFocus: false });
+      }
+    });
+    return this;
+  }
+
+  get items() {
+    return [...this.menu.querySelectorAll(MenuButton.itemSelector)].filter(item => !item.closest('.hidden'));
+  }
+
+  isOpen() {
+    return !this.popup.classList.contains('hidden');
+  }
+
+  // Open the menu and focus its first or last item ('first', 'last'), or
+  // the checked one of a choice
+  open(focus = 'first') {
+    if (this.onOpen) this.onOpen();
+    this.popup.classList.remove('hidden');
+    this.button.setAttribute('aria-expanded', 'true');
+
+    const items = this.items;
+    items.forEach(item => { item.tabIndex = -1; });
+    const checked = items.find(item => item.getAttribute('aria-checked') === 'true');
+    this.focusItem(focus === 'last' ? items.length - 1 : checked ? items.indexOf(checked) : 0);
+  }
+
+  close({ restoreFocus = true } = {}) {
+    this.popup.classList.add('hidden');
+    this.button.setAttribute('aria-expanded', 'false');
+    if (restoreFocus) this.button.focus();
+  }
+
+  focusItem(index) {
+    const items = this.items;
+    if (!items.length) return;
+    items[(index + items.length) % items.length].focus();
+  }
+
+  handleButtonKey(event) {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      this.open(event.key === 'ArrowUp' ? 'last' : 'first');
+    }
+  }
+
+  handleMenuKey(event) {
+    const items = this.items;
+    const index = items.indexOf(document.activeElement);
+
+    switch (event.key) {
+      case 'ArrowDown':
+        this.focusItem(index + 1);
+        break;
+      case 'ArrowUp':
+        this.focusItem(index < 0 ? -1 : index - 1);
+        break;
+      case 'Home':
+        this.focusItem(0);
+        break;
+      case 'End':
+        this.focusItem(-1);
+        break;
+      case 'Escape':
+        this.close();
+        break;
+      case 'Tab':
+        // Let the focus move on; the menu is not part of the tab order
+        this.close({ restoreFocus: false });
+        return;
+      default:
+        if (event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+          this.focusByLetter(event.key, index);
+          break;
+        }
+        return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  // Next item, after the focused one, whose label starts with the letter
+  // (leading symbols such as flags are skipped)
+  focusByLetter(letter, from) {
+    const items = this.items;
+    const wanted = letter.toLocaleLowerCase();
+    for (let step = 1; step <= items.length; step++) {
+      const index = (from + step) % items.length;
+      const label = items[index].textContent.replace(/^[^\p{L}\p{N}]+/u, '').toLocaleLowerCase();
+      if (label.startsWith(wanted)) {
+        this.focusItem(index);
+        return;
+      }
+    }
+  }
+
+  handleClick(event) {
+    const item = event.target.closest(MenuButton.itemSelector);
+    if (!item || !this.menu.contains(item)) return;
+
+    event.stopPropagation();
+    if (this.onSelect && this.onSelect(item, event) === false) return;
+    this.close();
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.MenuButton = MenuButton;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MenuButton };
+}
@@ -0,0 +1,367 @@
+class MessageFormatError extends Error {
+  constructor(message, position) {
+    super(`${message} (at position ${position})`);
+    this.name = 'MessageFormatError';
+    this.position = position;
+  }
+}
+
+class MessageFormat {
+  constructor(locale) {
+    this.locale = locale;
+    this.cache = new Map();
+    this.formats = new Map();
+    this.pluralRules = {};
+  }
+
+  // Parse an ICU-style message into a list of parts. Supported syntax:
+  //   {name}                          plain placeholder
+  //   {n, number[, integer|percent|currency/EUR]}
+  //   {d, date|time[, short|medium|long|full]}
+  //   {n, plural|selectordinal, [offset:1] =0 {...} one {...} other {...}}
+  //   {g, select, a {...} other {...}}
+  // '#' inside a plural branch is replaced by the formatted number and
+  // apostrophes quote literal braces ('{' -> {, '' -> ').
+  parse(message) {
+    if (!this.cache.has(message)) {
+      const parser = { text: message, pos: 0 };
+      const parts = this.parseMessage(parser, 0, false);
+      this.cache.set(message, parts);
+    }
+    return this.cache.get(message);
+  }
+
+  parseMessage(parser, depth, inPlural) {
+    const parts = [];
+    let literal = '';
+
+    const pushLiteral = () => {
+      if (literal) {
+        parts.push(literal);
+        literal = '';
+      }
+    };
+
+    while (parser.pos < parser.text.length) {
+      const char = parser.text[parser.pos];
+
+      if (char === '\'') {
+        literal += this.parseQuoted(parser, inPlural);
+      } else if (char === '{') {
+        pushLiteral();
+        parts.push(this.parseArgument(parser, depth, inPlural));
+      } else if (char === '}') {
+        if (depth === 0) {
+          throw new MessageFormatError('Unexpected "}"', parser.pos);
+        }
+        break;
+      } else if (char === '#' && inPlural) {
+        pushLiteral();
+        parts.push({ type: 'pound' });
+        parser.pos++;
+      } else {
+        literal += char;
+        parser.pos++;
+      }
+    }
+
+    pushLiteral();
+    return parts;
+  }
+
+  parseQuoted(parser, inPlural) {
+    const { text } = parser;
+    const next = text[parser.pos + 1];
+
+    if (next === '\'') {
+      parser.pos += 2;
+      return '\'';
+    }
+
+    // A lone apostrophe is only special before syntax characters, so
+    // contractions like "don't" need no escaping
+    if (next !== '{' && next !== '}' && !(next === '#' && inPlural)) {
+      parser.pos++;
+      return '\'';
+    }
+
+    let quoted = '';
+    parser.pos++;
+    while (parser.pos < text.length) {
+      if (text[parser.pos] === '\'') {
+        if (text[parser.pos + 1] === '\'') {
+          quoted += '\'';
+          parser.pos += 2;
+          continue;
+        }
+        parser.pos++;
+        return quoted;
+      }
+      quoted += text[parser.pos];
+      parser.pos++;
+    }
+    return quoted;
+  }
+
+  parseArgument(parser, depth, inPlural) {
+    const start = parser.pos;
+    parser.pos++; // skip '{'
+
+    const name = this.readToken(parser);
+    if (!name) {
+      throw new MessageFormatError('Expected argument name', parser.pos);
+    }
+
+    this.skipWhitespace(parser);
+    if (this.consume(parser, '}')) {
+      return { type: 'argument', name };
+    }
+    this.expect(parser, ',', start);
+
+    const type = this.readToken(parser);
+    this.skipWhitespace(parser);
+
+    switch (type) {
+      case 'number':
+      case 'date':
+      case 'time': {
+        let style = null;
+        if (this.consume(parser, ',')) {
+          const end = parser.text.indexOf('}', parser.pos);
+          if (end === -1) {
+            throw new MessageFormatError(`Unclosed argument "${name}"`, start);
+          }
+          style = parser.text.slice(parser.pos, end).trim();
+          parser.pos = end;
+        }
+        this.expect(parser, '}', start);
+        return { type, name, style, position: start };
+      }
+      case 'plural':
+      case 'selectordinal':
+      case 'select': {
+        this.expect(parser, ',', start);
+        const isPlural = type !== 'select';
+        let offset = 0;
+
+        this.skipWhitespace(parser);
+        if (isPlural && parser.text.startsWith('offset:', parser.pos)) {
+          parser.pos += 'offset:'.length;
+          offset = Number(this.readToken(parser));
+          if (Number.isNaN(offset)) {
+            throw new MessageFormatError(`Invalid offset for "${name}"`, parser.pos);
+          }
+        }
+
+        const options = {};
+        while (true) {
+          this.skipWhitespace(parser);
+          if (parser.pos >= parser.text.length) {
+            throw new MessageFormatError(`Unclosed ${type} argument "${name}"`, start);
+          }
+          if (this.consume(parser, '}')) break;
+
+          const selector = this.readToken(parser);
+          if (!selector) {
+            throw new MessageFormatError(`Expected ${type} option for "${name}"`, parser.pos);
+          }
+          this.skipWhitespace(parser);
+          this.expect(parser, '{', start);
+          options[selector] = this.parseMessage(parser, depth + 1, isPlural || inPlural);
+          this.expect(parser, '}', start);
+        }
+
+        if (!options.other) {
+          throw new MessageFormatError(`Missing "other" option for "${name}"`, start);
+        }
+        return { type: isPlural ? 'plural' : 'select', ordinal: type === 'selectordinal', name, offset, options };
+      }
+      default:
+        throw new MessageFormatError(`Unknown argument type "${type}" for "${name}"`, start);
+    }
+  }
+
+  // Names of all arguments a message uses, including those nested in
+  // plural/select branches. Throws MessageFormatError for malformed messages,
+  // including number and date styles Intl does not accept.
+  getArgumentNames(message) {
+    const names = new Set();
+    const collect = parts => parts.forEach(part => {
+      if (typeof part === 'string' || part.type === 'pound') return;
+      names.add(part.name);
+      if (part.type === 'number' || part.type === 'date' || part.type === 'time') {
+        this.getFormat(part);
+      }
+      if (part.options) {
+        Object.values(part.options).forEach(collect);
+      }
+    });
+
+    collect(this.parse(message));
+    return [...names].sort();
+  }
+
+  readToken(parser) {
+    this.skipWhitespace(parser);
+    const match = /^[^\s,{}]+/.exec(parser.text.slice(parser.pos));
+    if (!match) return '';
+    parser.pos += match[0].length;
+    return match[0];
+  }
+
+  skipWhitespace(parser) {
+    while (/\s/.test(parser.text[parser.pos] || '')) {
+      parser.pos++;
+    }
+  }
+
+  consume(parser, char) {
+    if (parser.text[parser.pos] === char) {
+      parser.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(parser, char, start) {
+    this.skipWhitespace(parser);
+    if (!this.consume(parser, char)) {
+      const found = parser.pos < parser.text.length ? `"${parser.text[parser.pos]}"` : 'end of message';
+      throw new MessageFormatError(`Expected "${char}" but found ${found} in argument starting`, start);
+    }
+  }
+
+  // Format a message with the given arguments. The key is only used to make
+  // console diagnostics point at the offending translation.
+  format(message, args = {}, key = message) {
+    let parts;
+    try {
+      parts = this.parse(message);
+    } catch (error) {
+      console.error(`Malformed message for key "${key}":`, error.message);
+      return message;
+    }
+    return this.formatParts(parts, args || {}, key, null);
+  }
+
+  formatParts(parts, args, key, pluralValue) {
+    return parts.map(part => {
+      if (typeof part === 'string') return part;
+
+      if (part.type === 'pound') {
+        return this.formatNumber(pluralValue);
+      }
+
+      if (!Object.prototype.hasOwnProperty.call(args, part.name)) {
+        console.warn(`Missing argument "${part.name}" for key "${key}"`);
+        return `{${part.name}}`;
+      }
+
+      const value = args[part.name];
+      switch (part.type) {
+        case 'argument':
+          return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        case 'number':
+        case 'date':
+        case 'time':
+          return this.formatStyled(part, value, key);
+        case 'plural':
+          return this.formatPlural(part, value, args, key);
+        case 'select': {
+          const option = String(value);
+          const branch = Object.prototype.hasOwnProperty.call(part.options, option)
+            ? part.options[option]
+            : part.options.other;
+          return this.formatParts(branch, args, key, pluralValue);
+        }
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  // Numbers and dates are checked like missing arguments: a value that is
+  // not one keeps its placeholder
+  formatStyled(part, value, key) {
+    const converted = part.type === 'number'
+      ? Number(value)
+      : value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(part.type === 'number' ? converted : converted.getTime())) {
+      console.warn(`Argument "${part.name}" for key "${key}" is not a ${part.type === 'number' ? 'number' : 'valid date'}:`, value);
+      return `{${part.name}}`;
+    }
+
+    try {
+      return this.getFormat(part).format(converted);
+    } catch (error) {
+      if (!(error instanceof MessageFormatError)) throw error;
+      console.error(`Malformed message for key "${key}":`, error.message);
+      return String(value);
+    }
+  }
+
+  formatPlural(part, value, args, key) {
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+      console.warn(`Argument "${part.name}" for key "${key}" is not a number:`, value);
+      return `{${part.name}}`;
+    }
+
+    const exact = part.options[`=${number}`];
+    if (exact) {
+      return this.formatParts(exact, args, key, number - part.offset);
+    }
+
+    const category = this.getPluralRules(part.ordinal).select(number - part.offset);
+    const branch = part.options[category] || part.options.other;
+    return this.formatParts(branch, args, key, number - part.offset);
+  }
+
+  getPluralRules(ordinal) {
+    const type = ordinal ? 'ordinal' : 'cardinal';
+    if (!this.pluralRules[type]) {
+      this.pluralRules[type] = new Intl.PluralRules(this.locale, { type });
+    }
+    return this.pluralRules[type];
+  }
+
+  formatNumber(value) {
+    return this.getFormat({ type: 'number', style: null }).format(value);
+  }
+
+  // Intl formatter of a number, date or time argument, cached per style.
+  // Throws MessageFormatError for styles Intl rejects, such as an unknown
+  // currency code or date style.
+  getFormat({ type, style, name, position = 0 }) {
+    const cacheKey = `${type}:${style || ''}`;
+    if (!this.formats.has(cacheKey)) {
+      try {
+        this.formats.set(cacheKey, type === 'number'
+          ? new Intl.NumberFormat(this.locale, this.getNumberOptions(style))
+          : new Intl.DateTimeFormat(this.locale, { [type === 'date' ? 'dateStyle' : 'timeStyle']: style || 'medium' }));
+      } catch (error) {
+        throw new MessageFormatError(`Invalid ${type} style "${style}" for "${name}": ${error.message}`, position);
+      }
+    }
+    return this.formats.get(cacheKey);
+  }
+
+  getNumberOptions(style) {
+    if (!style) return {};
+    if (style === 'integer') return { maximumFractionDigits: 0 };
+    if (style === 'percent') return { style: 'percent' };
+    if (style.startsWith('currency/')) {
+      return { style: 'currency', currency: style.slice('currency/'.length) };
+    }
+    throw new RangeError('expected integer, percent or currency/<code>');
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.MessageFormat = MessageFormat;
+  window.MessageFormatError = MessageFormatError;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MessageFormat, MessageFormatError };
+}
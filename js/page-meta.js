@@ -0,0 +1,125 @@
+// Keeps the document title, description, Open Graph, Twitter card and
+// JSON-LD structured data in sync with the current language. Pages describe
+// their metadata as translation keys; PageMeta re-applies them whenever
+// TranslationManager fires languageChanged. Literal values (from a markdown
+// page's front-matter) take precedence over the keys.
+class PageMeta {
+  constructor(translationManager, { keys = {}, image = null, structuredData = null } = {}) {
+    this.translationManager = translationManager;
+    this.keys = keys; // { title, description }
+    this.image = image;
+    this.structuredData = structuredData; // (meta, translationManager) => [schema.org items]
+    this.values = {}; // { title, description, author, date, tags }
+    this.defaultAuthor = document.querySelector('meta[name="author"]')?.getAttribute('content') || null;
+    this.onLanguageChanged = () => this.apply();
+  }
+
+  bind() {
+    window.addEventListener('languageChanged', this.onLanguageChanged);
+    return this;
+  }
+
+  unbind() {
+    window.removeEventListener('languageChanged', this.onLanguageChanged);
+  }
+
+  setKeys(keys) {
+    this.keys = { ...this.keys, ...keys };
+  }
+
+  setValues(values) {
+    this.values = { ...values };
+  }
+
+  // Metadata for the current language, without touching the document
+  resolve() {
+    const tm = this.translationManager;
+    const canonical = document.querySelector('link[rel="canonical"]');
+    const { title, description, author, date, tags } = this.values;
+
+    return {
+      title: title || (this.keys.title ? tm.getTranslation(this.keys.title) : document.title),
+      description: description || (this.keys.description ? tm.getTranslation(this.keys.description) : ''),
+      url: canonical ? canonical.getAttribute('href') : window.location.href,
+      image: this.image,
+      language: tm.currentLang,
+      author: author || this.defaultAuthor,
+      date: date || null,
+      tags: tags ? [].concat(tags) : []
+    };
+  }
+
+  apply() {
+    const meta = this.resolve();
+
+    document.title = meta.title;
+    this.setMeta('name', 'description', meta.description);
+
+    this.setMeta('property', 'og:title', meta.title);
+    this.setMeta('property', 'og:description', meta.description);
+    this.setMeta('property', 'og:url', meta.url);
+
+    this.setMeta('property', 'twitter:title', meta.title);
+    this.setMeta('property', 'twitter:description', meta.description);
+    this.setMeta('property', 'twitter:url', meta.url);
+
+    // Article details are only present on some pages; drop stale ones
+    this.setOptionalMeta('name', 'author', meta.author);
+    this.setOptionalMeta('property', 'article:published_time', meta.date);
+    this.setOptionalMeta('name', 'keywords', meta.tags.join(', '));
+
+    if (meta.image) {
+      this.setMeta('property', 'og:image', meta.image);
+      this.setMeta('property', 'twitter:image', meta.image);
+    }
+
+    if (this.structuredData) {
+      this.setStructuredData(this.structuredData(meta, this.translationManager));
+    }
+
+    return meta;
+  }
+
+  // Twitter tags are matched by name or property, whichever the page uses
+  setMeta(attribute, name, content) {
+    const selector = name.startsWith('twitter:')
+      ? `meta[name="${name}"], meta[property="${name}"]`
+      : `meta[${attribute}="${name}"]`;
+    let element = document.head.querySelector(selector);
+
+    if (!element) {
+      element = document.createElement('meta');
+      element.setAttribute(attribute, name);
+      document.head.appendChild(element);
+    }
+    element.setAttribute('content', content);
+  }
+
+  setOptionalMeta(attribute, name, content) {
+    if (content) {
+      this.setMeta(attribute, name, content);
+    } else {
+      document.head.querySelector(`meta[${attribute}="${name}"]`)?.remove();
+    }
+  }
+
+  setStructuredData(items) {
+    let script = document.getElementById('structured-data');
+    if (!script) {
+      script = document.createElement('script');
+      script.type = 'application/ld+json';
+      script.id = 'structured-data';
+      document.head.appendChild(script);
+    }
+
+    script.textContent = JSON.stringify({ '@context': 'https://schema.org', '@graph': items }, null, 2);
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.PageMeta = PageMeta;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PageMeta };
+}
@@ -0,0 +1,362 @@
+// QR code generator for short texts such as page URLs: byte mode, error
+// correction level M, versions 1-10 (up to 213 bytes). The symbol is drawn
+// as an SVG so it scales with the page and needs no canvas or image request.
+class QrCode {
+  static maxVersion = 10;
+
+  // Level M: error correction codewords per block and number of blocks
+  static eccPerBlock = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+  static blockCount = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+
+  static formatBitsM = 0;
+
+  static masks = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+  ];
+
+  constructor(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    this.version = QrCode.chooseVersion(bytes.length);
+    this.size = this.version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+    this.drawFunctionPatterns();
+    this.drawCodewords(this.addErrorCorrection(this.encodeData(bytes)));
+    this.applyBestMask();
+  }
+
+  static chooseVersion(length) {
+    for (let version = 1; version <= QrCode.maxVersion; version++) {
+      const countBits = version < 10 ? 8 : 16;
+      if (4 + countBits + length * 8 <= QrCode.dataCodewords(version) * 8) {
+        return version;
+      }
+    }
+    throw new RangeError(`Text too long for a QR code (${length} bytes)`);
+  }
+
+  static alignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const positions = [6];
+    for (let position = version * 4 + 10; positions.length < count; position -= step) {
+      positions.splice(1, 0, position);
+    }
+    return positions;
+  }
+
+  // Modules left for data and error correction once the patterns are drawn
+  static rawDataModules(version) {
+    let modules = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const count = Math.floor(version / 7) + 2;
+      modules -= (25 * count - 10) * count - 55;
+      if (version >= 7) modules -= 36;
+    }
+    return modules;
+  }
+
+  static dataCodewords(version) {
+    return Math.floor(QrCode.rawDataModules(version) / 8) - QrCode.eccPerBlock[version] * QrCode.blockCount[version];
+  }
+
+  set(x, y, dark, reserve = true) {
+    this.modules[y][x] = dark;
+    if (reserve) this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const size = this.size;
+    for (let i = 0; i < size; i++) {
+      this.set(6, i, i % 2 === 0);
+      this.set(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+            this.set(x + dx, y + dy, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    const positions = QrCode.alignmentPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => positions.forEach((y, j) => {
+      // Not on top of the finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          this.set(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }));
+
+    // Reserve the format areas now; the bits depend on the chosen mask
+    this.drawFormatBits(0);
+
+    if (this.version >= 7) {
+      let remainder = this.version;
+      for (let i = 0; i < 12; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+      }
+      const bits = (this.version << 12) | remainder;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) !== 0;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        this.set(a, b, dark);
+        this.set(b, a, dark);
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const data = (QrCode.formatBitsM << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) !== 0;
+    const size = this.size;
+
+    for (let i = 0; i <= 5; i++) this.set(8, i, bit(i));
+    this.set(8, 7, bit(6));
+    this.set(8, 8, bit(7));
+    this.set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(i));
+    this.set(8, size - 8, true);
+  }
+
+  // Mode indicator, length, the bytes, terminator and padding codewords
+  encodeData(bytes) {
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    const capacity = QrCode.dataCodewords(this.version) * 8;
+    append(0b0100, 4);
+    append(bytes.length, this.version < 10 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, b) => (byte << 1) | b, 0));
+    }
+    for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+      codewords.push(pad);
+    }
+    return codewords;
+  }
+
+  // Reed-Solomon codewords per block, then the blocks interleaved
+  addErrorCorrection(data) {
+    const blockCount = QrCode.blockCount[this.version];
+    const eccLength = QrCode.eccPerBlock[this.version];
+    const rawCodewords = Math.floor(QrCode.rawDataModules(this.version) / 8);
+    const shortBlocks = blockCount - (rawCodewords % blockCount);
+    const shortLength = Math.floor(rawCodewords / blockCount);
+    const divisor = QrCode.reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+      const block = data.slice(offset, offset + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+      offset += block.length;
+      const ecc = QrCode.reedSolomonRemainder(block, divisor);
+      if (i < shortBlocks) block.push(0);
+      blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        // Short blocks have no codeword at the padding position
+        if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+
+  static multiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  static reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = QrCode.multiply(result[j], root);
+        if (j + 1 < degree) result[j] ^= result[j + 1];
+      }
+      root = QrCode.multiply(root, 0x02);
+    }
+    return result;
+  }
+
+  static reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= QrCode.multiply(coefficient, factor);
+      });
+    });
+    return result;
+  }
+
+  // Zigzag through column pairs from the bottom right, skipping the
+  // vertical timing pattern
+  drawCodewords(codewords) {
+    const size = this.size;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let step = 0; step < size; step++) {
+        const y = upward ? size - 1 - step : step;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (!this.reserved[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const condition = QrCode.masks[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && condition(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // Masks are their own inverse: try each, keep the lowest penalty
+  applyBestMask() {
+    let best = 0;
+    let bestPenalty = Infinity;
+    QrCode.masks.forEach((_, mask) => {
+      this.applyMask(mask);
+      this.drawFormatBits(mask);
+      const penalty = this.penalty();
+      if (penalty < bestPenalty) {
+        best = mask;
+        bestPenalty = penalty;
+      }
+      this.applyMask(mask);
+    });
+
+    this.applyMask(best);
+    this.drawFormatBits(best);
+    this.mask = best;
+  }
+
+  // Penalty rules of the specification: runs, 2x2 blocks, finder-like
+  // patterns and the dark/light balance
+  penalty() {
+    const size = this.size;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(this.modules[i]);
+      lines.push(this.modules.map(row => row[i]));
+    }
+
+    let penalty = 0;
+    const finderLike = [/10111010000/g, /00001011101/g];
+    lines.forEach(line => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+      const text = line.map(dark => (dark ? '1' : '0')).join('');
+      finderLike.forEach(pattern => {
+        penalty += (text.match(pattern) || []).length * 40;
+      });
+    });
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (this.modules[y][x]) dark++;
+        if (y < size - 1 && x < size - 1) {
+          const color = this.modules[y][x];
+          if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+            penalty += 3;
+          }
+        }
+      }
+    }
+    penalty += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+    return penalty;
+  }
+
+  // SVG with a quiet zone of border modules, dark modules as one path
+  toSvg(doc = document, { border = 4 } = {}) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const extent = this.size + border * 2;
+    const svg = doc.createElementNS(ns, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${extent} ${extent}`);
+    svg.setAttribute('shape-rendering', 'crispEdges');
+
+    const background = doc.createElementNS(ns, 'rect');
+    background.setAttribute('width', '100%');
+    background.setAttribute('height', '100%');
+    background.setAttribute('fill', '#ffffff');
+
+    let d = '';
+    this.modules.forEach((row, y) => row.forEach((dark, x) => {
+      if (dark) d += `M${x + border},${y + border}h1v1h-1z`;
+    }));
+    const path = doc.createElementNS(ns, 'path');
+    path.setAttribute('d', d);
+    path.setAttribute('fill', '#000000');
+
+    svg.append(background, path);
+    return svg;
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.QrCode = QrCode;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { QrCode };
+}
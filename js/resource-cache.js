@@ -0,0 +1,124 @@
+// Cache for site files fetched by the scripts (translation bundles,
+// markdown). Entries live in memory and in IndexedDB, so revisits and
+// language toggles are answered at once and work offline; cached entries are
+// returned immediately and refreshed in the background. sw.js sends these
+// refreshes to the network, so they always see the deployed files.
+class ResourceCache {
+  static dbName = 'psygreg-site';
+  static storeName = 'resources';
+  static dbVersion = 1;
+  static instance = null;
+
+  constructor() {
+    this.memory = new Map(); // key -> value
+    this.revalidating = new Map(); // key -> Promise
+    this.db = null;
+  }
+
+  static get shared() {
+    if (!ResourceCache.instance) {
+      ResourceCache.instance = new ResourceCache();
+    }
+    return ResourceCache.instance;
+  }
+
+  // sw.js precaches the shell, images and translations and keeps the site
+  // usable offline
+  static registerServiceWorker(url = '/sw.js') {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register(url)
+      .catch(error => console.warn('Service worker registration failed:', error));
+  }
+
+  // IndexedDB is missing in the Node tooling and unusable in some private
+  // windows; the cache then only lives in memory
+  openDatabase() {
+    if (!this.db) {
+      this.db = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
+        }
+
+        const request = indexedDB.open(ResourceCache.dbName, ResourceCache.dbVersion);
+        request.onupgradeneeded = () => request.result.createObjectStore(ResourceCache.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('Resource cache unavailable, using memory only:', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return this.db;
+  }
+
+  async transaction(mode, action) {
+    const db = await this.openDatabase();
+    if (!db) return undefined;
+
+    return new Promise(resolve => {
+      try {
+        const store = db.transaction(ResourceCache.storeName, mode).objectStore(ResourceCache.storeName);
+        const request = action(store);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(undefined);
+      } catch (error) {
+        console.warn('Resource cache error:', error);
+        resolve(undefined);
+      }
+    });
+  }
+
+  // Cached entry as { value }, or undefined when nothing is stored
+  async get(key) {
+    if (this.memory.has(key)) {
+      return { value: this.memory.get(key) };
+    }
+
+    const stored = await this.transaction('readonly', store => store.get(key));
+    if (stored) {
+      this.memory.set(key, stored.value);
+    }
+    return stored;
+  }
+
+  async set(key, value) {
+    this.memory.set(key, value);
+    await this.transaction('readwrite', store => store.put({ value, storedAt: Date.now() }, key));
+  }
+
+  // Stale-while-revalidate: answer from the cache when possible and refresh
+  // the entry with load() in the background; otherwise wait for load()
+  async fetch(key, load) {
+    const cached = await this.get(key);
+    if (cached) {
+      this.revalidate(key, load);
+      return cached.value;
+    }
+
+    const value = await load();
+    await this.set(key, value);
+    return value;
+  }
+
+  revalidate(key, load) {
+    if (!this.revalidating.has(key)) {
+      const refresh = Promise.resolve()
+        .then(load)
+        .then(value => this.set(key, value))
+        // Offline or failing: keep serving what we have
+        .catch(() => {})
+        .finally(() => this.revalidating.delete(key));
+      this.revalidating.set(key, refresh);
+    }
+    return this.revalidating.get(key);
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.ResourceCache = ResourceCache;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ResourceCache };
+}
@@ -0,0 +1,169 @@
+// Minimal, sanitised rich-text syntax for translation values. Translators can
+// use a handful of HTML-like tags, which are parsed here and turned into DOM
+// nodes one by one so translation files never reach innerHTML:
+//   <a href="https://...">link</a>, <strong>, <em>, <code>, <br>
+// Anything else (unknown tags, attributes or URL schemes) is kept as text.
+class RichText {
+  static allowedTags = {
+    a: ['href', 'title'],
+    strong: [],
+    em: [],
+    code: [],
+    br: []
+  };
+
+  static voidTags = ['br'];
+
+  static allowedSchemes = ['http:', 'https:', 'mailto:'];
+
+  static entities = {
+    '&lt;': '<',
+    '&gt;': '>',
+    '&amp;': '&',
+    '&quot;': '"',
+    '&#39;': '\''
+  };
+
+  static tagPattern = /<(\/?)([a-zA-Z]+)((?:\s+[a-zA-Z-]+\s*=\s*"[^"]*")*)\s*\/?>/g;
+
+  // Attributes allowed on a tag, or null for tags that are not allowed. Own
+  // properties only, so names like "constructor" are not mistaken for tags.
+  static allowedAttributes(tag) {
+    return Object.prototype.hasOwnProperty.call(RichText.allowedTags, tag) ? RichText.allowedTags[tag] : null;
+  }
+
+  static hasMarkup(text) {
+    return typeof text === 'string' && /<\/?[a-zA-Z]+[^>]*>|&(?:lt|gt|amp|quot|#39);/.test(text);
+  }
+
+  static decodeEntities(text) {
+    return text.replace(/&(?:lt|gt|amp|quot|#39);/g, entity => RichText.entities[entity]);
+  }
+
+  // Parse text into a tree of { tag, attributes, children } nodes and strings
+  static parse(text) {
+    const root = { tag: null, attributes: {}, children: [] };
+    const stack = [root];
+    const pattern = new RegExp(RichText.tagPattern.source, 'g');
+    let lastIndex = 0;
+    let match;
+
+    const appendText = value => {
+      if (value) stack[stack.length - 1].children.push(RichText.decodeEntities(value));
+    };
+
+    while ((match = pattern.exec(text)) !== null) {
+      const [source, closing, rawTag, rawAttributes] = match;
+      const tag = rawTag.toLowerCase();
+      appendText(text.slice(lastIndex, match.index));
+      lastIndex = pattern.lastIndex;
+
+      if (!RichText.allowedAttributes(tag)) {
+        console.warn(`Disallowed tag <${tag}> in translation, rendering as text`);
+        stack[stack.length - 1].children.push(source);
+        continue;
+      }
+
+      if (closing) {
+        if (stack.length > 1 && stack[stack.length - 1].tag === tag) {
+          stack.pop();
+        } else if (!RichText.voidTags.includes(tag)) {
+          console.warn(`Unexpected closing tag </${tag}> in translation`);
+        }
+        continue;
+      }
+
+      const node = { tag, attributes: RichText.parseAttributes(tag, rawAttributes), children: [] };
+      stack[stack.length - 1].children.push(node);
+      if (!RichText.voidTags.includes(tag)) {
+        stack.push(node);
+      }
+    }
+
+    appendText(text.slice(lastIndex));
+
+    if (stack.length > 1) {
+      console.warn(`Unclosed tag <${stack[stack.length - 1].tag}> in translation`);
+    }
+
+    return root.children;
+  }
+
+  static parseAttributes(tag, rawAttributes) {
+    const attributes = {};
+    const pattern = /([a-zA-Z-]+)\s*=\s*"([^"]*)"/g;
+    let match;
+
+    while ((match = pattern.exec(rawAttributes)) !== null) {
+      const name = match[1].toLowerCase();
+      if (RichText.allowedAttributes(tag).includes(name)) {
+        attributes[name] = RichText.decodeEntities(match[2]);
+      } else {
+        console.warn(`Disallowed attribute "${name}" on <${tag}> in translation`);
+      }
+    }
+
+    return attributes;
+  }
+
+  // Relative URLs are always allowed; absolute ones only with a listed scheme
+  static isSafeUrl(url) {
+    const normalized = url.replace(/[\u0000- ]/g, '');
+    const scheme = /^([a-z][a-z0-9+.-]*:)/i.exec(normalized);
+    return !scheme || RichText.allowedSchemes.includes(scheme[1].toLowerCase());
+  }
+
+  static render(text, doc = document) {
+    const fragment = doc.createDocumentFragment();
+    RichText.appendNodes(fragment, RichText.parse(text), doc);
+    return fragment;
+  }
+
+  static appendNodes(parent, nodes, doc) {
+    nodes.forEach(node => {
+      if (typeof node === 'string') {
+        parent.appendChild(doc.createTextNode(node));
+        return;
+      }
+
+      if (node.tag === 'a' && !RichText.isSafeUrl(node.attributes.href || '')) {
+        console.warn(`Unsafe link "${node.attributes.href}" in translation, rendering as text`);
+        RichText.appendNodes(parent, node.children, doc);
+        return;
+      }
+
+      const element = doc.createElement(node.tag);
+      Object.entries(node.attributes).forEach(([name, value]) => {
+        element.setAttribute(name, value);
+      });
+
+      if (node.tag === 'a') {
+        element.classList.add('underline');
+        if (/^https?:/i.test(node.attributes.href || '')) {
+          element.setAttribute('target', '_blank');
+          element.setAttribute('rel', 'noopener noreferrer');
+        }
+      }
+
+      RichText.appendNodes(element, node.children, doc);
+      parent.appendChild(element);
+    });
+  }
+
+  static toPlainText(text) {
+    const collect = nodes => nodes.map(node => {
+      if (typeof node === 'string') return node;
+      return node.tag === 'br' ? '\n' : collect(node.children);
+    }).join('');
+
+    return collect(RichText.parse(text));
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.RichText = RichText;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RichText };
+}
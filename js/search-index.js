@@ -0,0 +1,162 @@
+// Client side of the prebuilt search index (search/<lang>.json, written by
+// scripts/build-search-index.js). Matching ignores case and accents, and
+// query words also match word prefixes and words one typo away.
+class SearchIndex {
+  static diacritics = /[\u0300-\u036f]/g;
+
+  constructor(data) {
+    this.language = data.language;
+    this.pages = new Map(data.pages.map(page => [page.slug, page]));
+    this.sections = data.sections.map(section => ({
+      ...section,
+      headingWords: SearchIndex.words(section.heading || ''),
+      textWords: SearchIndex.words(section.text)
+    }));
+  }
+
+  static async load(translationManager, language = translationManager.currentLang) {
+    const data = await translationManager.loadJson(`search/${language}.json`);
+    return new SearchIndex(data);
+  }
+
+  static normalize(text) {
+    return text.normalize('NFD').replace(SearchIndex.diacritics, '').toLowerCase();
+  }
+
+  static words(text) {
+    return SearchIndex.normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+  }
+
+  // Normalized text plus, for every normalized character, its index in the
+  // original, so matches can be highlighted in the original text
+  static normalizeWithMap(text) {
+    let normalized = '';
+    const map = [];
+    for (let index = 0; index < text.length;) {
+      const char = String.fromCodePoint(text.codePointAt(index));
+      const plain = SearchIndex.normalize(char);
+      for (let i = 0; i < plain.length; i++) {
+        map.push(index);
+      }
+      normalized += plain;
+      index += char.length;
+    }
+    map.push(text.length);
+    return { normalized, map };
+  }
+
+  // Levenshtein distance, giving up once it exceeds max
+  static distance(a, b, max = 1) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      if (Math.min(...current) > max) return max + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  // How well one query word matches a list of words: exact, prefix, typo
+  static matchWord(term, words) {
+    let best = 0;
+    for (const word of words) {
+      if (word === term) return 3;
+      if (word.startsWith(term)) {
+        best = Math.max(best, 2);
+      } else if (term.length >= 4 && SearchIndex.distance(term, word) <= 1) {
+        best = Math.max(best, 1);
+      }
+    }
+    return best;
+  }
+
+  // Sections matching every query word, best first. Terms are the words of
+  // the section that matched, for highlighting.
+  search(query, { page = null, limit = 20 } = {}) {
+    const terms = SearchIndex.words(query);
+    if (!terms.length) return [];
+
+    const results = [];
+    this.sections.forEach(section => {
+      if (page && section.page !== page) return;
+
+      let score = 0;
+      for (const term of terms) {
+        const heading = SearchIndex.matchWord(term, section.headingWords);
+        const text = SearchIndex.matchWord(term, section.textWords);
+        if (!heading && !text) return;
+        score += heading * 3 + text;
+      }
+
+      results.push({
+        section,
+        page: this.pages.get(section.page),
+        score,
+        terms: this.matchedWords(terms, [...section.headingWords, ...section.textWords])
+      });
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  matchedWords(terms, words) {
+    return [...new Set(words.filter(word => terms.some(term =>
+      word.startsWith(term) || (term.length >= 4 && SearchIndex.distance(term, word) <= 1))))];
+  }
+
+  // Best section of a page for a name, e.g. a tool's knowledge-base entry
+  findSection(name, page) {
+    const [best] = this.search(name, { page, limit: 1 });
+    return best ? best.section : null;
+  }
+
+  // Text split into { text, match } parts around the matched words, cut to
+  // a window of about length characters around the first match
+  static snippet(text, words, length = 160) {
+    const { normalized, map } = SearchIndex.normalizeWithMap(text);
+    const ranges = [];
+    words.forEach(word => {
+      const pattern = new RegExp(`(^|[^a-z0-9])(${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})(?![a-z0-9])`, 'g');
+      let match;
+      while ((match = pattern.exec(normalized)) !== null) {
+        const start = match.index + match[1].length;
+        const end = start + match[2].length;
+        ranges.push([map[start], map[end - 1] + 1]);
+      }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const first = ranges.length ? ranges[0][0] : 0;
+    let from = Math.max(0, first - Math.floor(length / 3));
+    let to = Math.min(text.length, from + length);
+    from = Math.max(0, Math.min(from, to - length));
+
+    const parts = [];
+    let position = from;
+    ranges.forEach(([start, end]) => {
+      if (start < position || end > to) return;
+      if (start > position) parts.push({ text: text.slice(position, start), match: false });
+      parts.push({ text: text.slice(start, end), match: true });
+      position = end;
+    });
+    if (position < to) parts.push({ text: text.slice(position, to), match: false });
+
+    if (from > 0) parts.unshift({ text: '…', match: false });
+    if (to < text.length) parts.push({ text: '…', match: false });
+    return parts;
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.SearchIndex = SearchIndex;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SearchIndex };
+}
@@ -0,0 +1,256 @@
+// Search dialog shared by every page, opened with the header button, Ctrl+K
+// (Cmd+K) or "/". Results come from the current language's SearchIndex and
+// link straight to the matching heading of a content page.
+class SearchOverlay {
+  constructor(translationManager, { buttonId = 'search-button', limit = 20 } = {}) {
+    this.translationManager = translationManager;
+    this.button = document.getElementById(buttonId);
+    this.limit = limit;
+    this.router = null;
+    this.indexes = {}; // language -> Promise<SearchIndex>
+    this.results = [];
+    this.activeIndex = -1;
+    this.opener = null;
+    this.available = true;
+  }
+
+  init() {
+    // Content pages share the router, so results open without a reload
+    this.router = window.contentLoader?.router || new ContentRouter(this.translationManager);
+    this.render();
+    this.applyTranslations();
+
+    if (this.button) {
+      this.button.addEventListener('click', () => this.open());
+    }
+    document.addEventListener('keydown', event => this.handleShortcut(event));
+    this.input.addEventListener('input', () => this.update());
+    this.input.addEventListener('keydown', event => this.handleKeydown(event));
+    this.overlay.addEventListener('click', event => {
+      if (event.target === this.overlay || event.target.closest('a')) this.close();
+    });
+
+    window.addEventListener('languageChanged', () => {
+      this.applyTranslations();
+      this.checkIndex();
+      if (this.isOpen()) this.update();
+    });
+    this.checkIndex();
+    return this;
+  }
+
+  // Without an index for the language (a working tree served before
+  // `npm run build:search`) the button is hidden and the shortcuts do nothing
+  async checkIndex() {
+    const language = this.translationManager.currentLang;
+    let available = true;
+    try {
+      await this.getIndex(language);
+    } catch (error) {
+      available = false;
+    }
+    if (language !== this.translationManager.currentLang) return;
+
+    this.available = available;
+    if (this.button) this.button.classList.toggle('hidden', !available);
+  }
+
+  render() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'search-overlay';
+    this.overlay.className = 'fixed inset-0 z-[60] hidden items-start justify-center bg-black bg-opacity-60 p-4';
+    this.overlay.setAttribute('role', 'dialog');
+    this.overlay.setAttribute('aria-modal', 'true');
+
+    const panel = document.createElement('div');
+    panel.className = 'w-full max-w-2xl mt-16 bg-neutral-800 border border-neutral-700 rounded-lg shadow-lg';
+
+    this.input = document.createElement('input');
+    this.input.id = 'search-input';
+    this.input.type = 'search';
+    this.input.autocomplete = 'off';
+    this.input.className = 'w-full px-4 py-3 bg-transparent text-white border-b border-neutral-700 focus:outline-none';
+    this.input.setAttribute('role', 'combobox');
+    this.input.setAttribute('aria-controls', 'search-results');
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.setAttribute('aria-autocomplete', 'list');
+
+    this.status = document.createElement('p');
+    this.status.className = 'px-4 py-2 text-sm text-gray-400';
+    this.status.setAttribute('aria-live', 'polite');
+
+    this.list = document.createElement('ul');
+    this.list.id = 'search-results';
+    this.list.className = 'max-h-96 overflow-y-auto';
+    this.list.setAttribute('role', 'listbox');
+
+    panel.append(this.input, this.status, this.list);
+    this.overlay.appendChild(panel);
+    document.body.appendChild(this.overlay);
+  }
+
+  applyTranslations() {
+    const tm = this.translationManager;
+    this.overlay.setAttribute('aria-label', tm.getTranslation('common.search.button'));
+    this.input.placeholder = tm.getTranslation('common.search.placeholder');
+  }
+
+  isOpen() {
+    return !this.overlay.classList.contains('hidden');
+  }
+
+  open() {
+    if (this.isOpen() || !this.available) return;
+
+    this.opener = document.activeElement;
+    this.overlay.classList.remove('hidden');
+    this.overlay.classList.add('flex');
+    this.input.focus();
+    this.input.select();
+    this.update();
+  }
+
+  close() {
+    if (!this.isOpen()) return;
+
+    this.overlay.classList.add('hidden');
+    this.overlay.classList.remove('flex');
+    this.input.setAttribute('aria-expanded', 'false');
+    if (this.opener && typeof this.opener.focus === 'function') {
+      this.opener.focus();
+    }
+  }
+
+  getIndex(language = this.translationManager.currentLang) {
+    if (!this.indexes[language]) {
+      this.indexes[language] = SearchIndex.load(this.translationManager, language).catch(error => {
+        delete this.indexes[language];
+        throw error;
+      });
+    }
+    return this.indexes[language];
+  }
+
+  async update() {
+    const tm = this.translationManager;
+    const query = this.input.value.trim();
+
+    let index;
+    try {
+      index = await this.getIndex();
+    } catch (error) {
+      console.error('Error loading search index:', error);
+      this.showResults([], tm.getTranslation('common.search.unavailable'));
+      return;
+    }
+
+    // Typing may have moved on while the index was loading
+    if (query !== this.input.value.trim()) return;
+
+    if (!query) {
+      this.showResults([], '');
+      return;
+    }
+
+    const results = index.search(query, { limit: this.limit });
+    this.showResults(results, results.length
+      ? tm.getTranslation('common.search.results', { count: results.length })
+      : tm.getTranslation('common.search.no-results', { query }));
+  }
+
+  showResults(results, status) {
+    this.results = results;
+    this.status.textContent = status;
+    this.list.replaceChildren(...results.map((result, index) => this.renderResult(result, index)));
+    this.input.setAttribute('aria-expanded', String(results.length > 0));
+    this.setActive(results.length ? 0 : -1);
+  }
+
+  renderResult({ section, page, terms }, index) {
+    const item = document.createElement('li');
+    item.setAttribute('role', 'presentation');
+
+    const link = document.createElement('a');
+    link.id = `search-result-${index}`;
+    link.href = this.router.getPageUrl(section.page, section.id ? `#${section.id}` : '');
+    link.className = 'block px-4 py-3 border-t border-neutral-700 hover:bg-neutral-700';
+    link.setAttribute('role', 'option');
+
+    const title = document.createElement('span');
+    title.className = 'block font-semibold text-white';
+    title.textContent = section.heading ? `${page.title} › ${section.heading}` : page.title;
+
+    const snippet = document.createElement('span');
+    snippet.className = 'block text-sm text-gray-400';
+    SearchIndex.snippet(section.text, terms).forEach(part => {
+      if (part.match) {
+        const mark = document.createElement('mark');
+        mark.className = 'bg-transparent font-semibold';
+        mark.style.color = '#e7b417';
+        mark.textContent = part.text;
+        snippet.appendChild(mark);
+      } else {
+        snippet.appendChild(document.createTextNode(part.text));
+      }
+    });
+
+    link.append(title, snippet);
+    item.appendChild(link);
+    return item;
+  }
+
+  setActive(index) {
+    this.activeIndex = index;
+    const options = this.list.querySelectorAll('[role="option"]');
+    options.forEach((option, i) => {
+      const active = i === index;
+      option.setAttribute('aria-selected', String(active));
+      option.classList.toggle('bg-neutral-700', active);
+      if (active) option.scrollIntoView({ block: 'nearest' });
+    });
+
+    if (index >= 0) {
+      this.input.setAttribute('aria-activedescendant', `search-result-${index}`);
+    } else {
+      this.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  // Ctrl+K / Cmd+K anywhere, "/" outside text fields
+  handleShortcut(event) {
+    const target = event.target;
+    const typing = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+
+    if ((event.key === 'k' || event.key === 'K') && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      this.open();
+    } else if (event.key === '/' && !typing && !this.isOpen()) {
+      event.preventDefault();
+      this.open();
+    } else if (event.key === 'Escape' && this.isOpen()) {
+      this.close();
+    }
+  }
+
+  handleKeydown(event) {
+    const count = this.results.length;
+    if (event.key === 'ArrowDown' && count) {
+      event.preventDefault();
+      this.setActive((this.activeIndex + 1) % count);
+    } else if (event.key === 'ArrowUp' && count) {
+      event.preventDefault();
+      this.setActive((this.activeIndex - 1 + count) % count);
+    } else if (event.key === 'Enter' && this.activeIndex >= 0) {
+      event.preventDefault();
+      document.getElementById(`search-result-${this.activeIndex}`).click();
+    }
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.SearchOverlay = SearchOverlay;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SearchOverlay };
+}
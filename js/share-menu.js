@@ -0,0 +1,185 @@
+// Share menu behind the home page's share button: the system share sheet
+// (navigator.share) where the browser has one, share intents for the
+// networks of data/social.json, copying the link, and a QR code of the page
+// URL generated in the browser. The URL is the page's canonical one, so it
+// follows the selected language. Keyboard handling comes from MenuButton;
+// the QR code shows below the items, so the menu role is on an inner list.
+class ShareMenu {
+  constructor(translationManager, {
+    targets = [],
+    pageMeta = null,
+    buttonId = 'share-button',
+    menuId = 'share-menu',
+    popupId = 'copy-popup'
+  } = {}) {
+    this.translationManager = translationManager;
+    this.targets = targets; // [{ id, url, label }], url with {url} and {title}
+    this.pageMeta = pageMeta;
+    this.button = document.getElementById(buttonId);
+    this.menu = document.getElementById(menuId);
+    this.popup = document.getElementById(popupId);
+    this.qrUrl = null;
+    this.popupTimer = null;
+  }
+
+  init() {
+    if (!this.button || !this.menu) return this;
+
+    this.list = document.createElement('div');
+    this.list.id = `${this.menu.id}-items`;
+    this.qrPanel = document.createElement('figure');
+    this.qrPanel.id = `${this.menu.id}-qr`;
+    this.qrPanel.className = 'hidden p-4 border-t border-neutral-700 text-center';
+    this.menu.replaceChildren(this.list, this.qrPanel);
+    this.render();
+
+    this.menuButton = new MenuButton(this.button, this.list, {
+      popup: this.menu,
+      // The canonical URL may have changed with the language
+      onOpen: () => this.render(),
+      onSelect: item => this.handleSelect(item)
+    }).init();
+
+    window.addEventListener('languageChanged', () => this.render());
+    return this;
+  }
+
+  getShareData() {
+    const meta = this.pageMeta ? this.pageMeta.resolve() : { title: document.title, url: window.location.href };
+    return { title: meta.title, url: meta.url };
+  }
+
+  // Share intent of a target with the page's URL and title filled in
+  getTargetUrl(target, { title, url } = this.getShareData()) {
+    const values = { url, title };
+    return target.url.replace(/\{(\w+)\}/g, (match, name) => (name in values ? encodeURIComponent(values[name]) : match));
+  }
+
+  render() {
+    const tm = this.translationManager;
+    const items = [];
+
+    const item = (action, label, href = null) => {
+      const element = document.createElement(href ? 'a' : 'button');
+      element.className = 'block w-full text-left px-4 py-2 text-sm text-gray-200 hover:bg-neutral-700 focus:bg-neutral-700 focus:outline-none';
+      element.setAttribute('role', 'menuitem');
+      element.dataset.action = action;
+      element.textContent = label;
+      if (href) {
+        element.href = href;
+        element.target = '_blank';
+        element.rel = 'noopener noreferrer';
+      } else {
+        element.type = 'button';
+      }
+      return element;
+    };
+
+    if (typeof navigator.share === 'function') {
+      items.push(item('native', tm.getTranslation('common.share.native')));
+    }
+    const data = this.getShareData();
+    this.targets.forEach(target => {
+      items.push(item('target', tm.getTranslation(target.label), this.getTargetUrl(target, data)));
+    });
+    items.push(item('copy', tm.getTranslation('common.share.copy-link')));
+
+    const qrItem = item('qr', tm.getTranslation('common.share.qr'));
+    qrItem.setAttribute('aria-controls', this.qrPanel.id);
+    qrItem.setAttribute('aria-expanded', 'false');
+    items.push(qrItem);
+
+    // The QR code is drawn again when shown, for the current URL and language
+    this.qrPanel.classList.add('hidden');
+    this.qrPanel.replaceChildren();
+    this.qrUrl = null;
+
+    this.button.title = tm.getTranslation('common.share.button');
+    this.button.querySelector('img')?.setAttribute('alt', tm.getTranslation('common.share.button'));
+    this.list.replaceChildren(...items);
+  }
+
+  // Menu item chosen; the QR code item keeps the menu open
+  handleSelect(element) {
+    switch (element.dataset.action) {
+      case 'native':
+        this.shareNatively();
+        break;
+      case 'copy':
+        this.copyLink();
+        break;
+      case 'qr':
+        this.toggleQrCode(element);
+        return false;
+      default:
+        break;
+    }
+    return true;
+  }
+
+  async shareNatively() {
+    try {
+      await navigator.share(this.getShareData());
+    } catch (error) {
+      // Dismissing the share sheet is not an error
+      if (error.name !== 'AbortError') {
+        console.error('Failed to share:', error);
+        this.copyLink();
+      }
+    }
+  }
+
+  async copyLink() {
+    try {
+      await navigator.clipboard.writeText(this.getShareData().url);
+      this.showPopup(this.translationManager.getTranslation('common.copied-clipboard'));
+    } catch (error) {
+      console.error('Failed to copy:', error);
+    }
+  }
+
+  toggleQrCode(toggle) {
+    const { url } = this.getShareData();
+    if (this.qrUrl !== url) {
+      const caption = document.createElement('figcaption');
+      caption.className = 'mt-2 text-xs text-gray-400 break-all';
+      caption.textContent = this.translationManager.getTranslation('common.share.qr-caption', { url });
+
+      const svg = new QrCode(url).toSvg(document);
+      svg.setAttribute('class', 'mx-auto h-40 w-40 rounded');
+      svg.setAttribute('role', 'img');
+      svg.setAttribute('aria-label', this.translationManager.getTranslation('common.share.qr'));
+
+      this.qrPanel.replaceChildren(svg, caption);
+      this.qrUrl = url;
+    }
+    const hidden = this.qrPanel.classList.toggle('hidden');
+    toggle?.setAttribute('aria-expanded', String(!hidden));
+  }
+
+  // Confirmation toast, shown for 2 seconds
+  showPopup(message) {
+    if (!this.popup) return;
+
+    const text = this.popup.querySelector('p') || this.popup;
+    text.textContent = message;
+    this.popup.style.opacity = '1';
+    this.popup.style.transform = 'translate(-50%, 0)';
+    this.popup.classList.remove('pointer-events-none');
+
+    clearTimeout(this.popupTimer);
+    this.popupTimer = setTimeout(() => {
+      this.popup.style.opacity = '0';
+      this.popup.style.transform = 'translate(-50%, -10px)';
+      setTimeout(() => this.popup.classList.add('pointer-events-none'), 300);
+    }, 2000);
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.ShareMenu = ShareMenu;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ShareMenu };
+}
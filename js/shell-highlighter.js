@@ -0,0 +1,110 @@
+// Syntax highlighting for shell/bash code blocks. Tokens become spans with
+// tok-* classes (styled by the page); everything else stays plain text, so
+// the output never contains markup from the code itself.
+class ShellHighlighter {
+  static languages = ['bash', 'sh', 'shell', 'zsh', 'console'];
+
+  static keywords = new Set([
+    'if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'until', 'do', 'done', 'case', 'esac',
+    'in', 'function', 'select', 'return', 'local', 'export', 'readonly', 'declare', 'source'
+  ]);
+
+  // Words after which a new command starts
+  static commandPrefixes = new Set(['if', 'then', 'else', 'elif', 'do', 'while', 'until', 'sudo', 'time', 'exec']);
+
+  // Ordered: the first rule that matches at a position wins
+  static rules = [
+    { type: 'comment', pattern: /#[^\n]*/y, atWordStart: true },
+    { type: 'string', pattern: /"(?:[^"\\]|\\[\s\S])*"|'[^']*'/y },
+    { type: 'variable', pattern: /\$(?:\{[^}]*\}|\(|[A-Za-z_][A-Za-z0-9_]*|[0-9@#?$!*-])/y },
+    { type: 'prompt', pattern: /^[$#] (?=\S)/my },
+    { type: 'operator', pattern: /&&|\|\||;;|[|;&<>]=?|>>/y },
+    { type: 'flag', pattern: /(?<![\w-])--?[A-Za-z0-9][\w-]*/y },
+    { type: 'word', pattern: /[A-Za-z_][\w.-]*/y }
+  ];
+
+  static isShell(language) {
+    return ShellHighlighter.languages.includes((language || '').toLowerCase());
+  }
+
+  // Tokens of the code as [{ type, text }], type null for plain text
+  static tokenize(code) {
+    const tokens = [];
+    let plain = '';
+    let commandStart = true;
+
+    const push = (type, text) => {
+      if (plain) {
+        tokens.push({ type: null, text: plain });
+        plain = '';
+      }
+      tokens.push({ type, text });
+    };
+
+    for (let index = 0; index < code.length;) {
+      const rule = ShellHighlighter.rules.find(({ pattern, atWordStart }) => {
+        if (atWordStart && index > 0 && !/\s/.test(code[index - 1])) return false;
+        pattern.lastIndex = index;
+        return pattern.test(code);
+      });
+
+      if (!rule) {
+        const char = code[index];
+        plain += char;
+        if (char === '\n' || char === '(' || char === '`') commandStart = true;
+        index++;
+        continue;
+      }
+
+      rule.pattern.lastIndex = index;
+      const [text] = rule.pattern.exec(code);
+      let type = rule.type;
+
+      if (type === 'word') {
+        // First word of a command, e.g. "sudo" in "sudo apt install"
+        type = ShellHighlighter.keywords.has(text) ? 'keyword' : (commandStart ? 'command' : null);
+        commandStart = ShellHighlighter.commandPrefixes.has(text);
+      } else if (type !== 'comment') {
+        commandStart = type === 'operator' || type === 'prompt';
+      }
+
+      if (type) {
+        push(type, text);
+      } else {
+        plain += text;
+      }
+      index += text.length;
+    }
+
+    if (plain) tokens.push({ type: null, text: plain });
+    return tokens;
+  }
+
+  // Replace the text of a <code> element with highlighted spans
+  static highlight(codeElement) {
+    const doc = codeElement.ownerDocument;
+    const fragment = doc.createDocumentFragment();
+
+    ShellHighlighter.tokenize(codeElement.textContent).forEach(({ type, text }) => {
+      if (type) {
+        const span = doc.createElement('span');
+        span.className = `tok-${type}`;
+        span.textContent = text;
+        fragment.appendChild(span);
+      } else {
+        fragment.appendChild(doc.createTextNode(text));
+      }
+    });
+
+    codeElement.replaceChildren(fragment);
+    codeElement.classList.add('highlighted');
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.ShellHighlighter = ShellHighlighter;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ShellHighlighter };
+}
@@ -0,0 +1,98 @@
+// Social profile links of the home page, rendered from data/social.json:
+//   { "links": [{ id, url, icon, label, order, visible, profile }],
+//     "share": [{ id, url, label, order, visible }] }
+// label is a translation key. Entries are shown by ascending order, and
+// visible: false hides one without deleting it. Profile links (profile:
+// true) double as the structured data's sameAs; the share targets are used
+// by ShareMenu.
+class SocialLinks {
+  constructor(translationManager, { containerId = 'social-links', configPath = 'data/social.json' } = {}) {
+    this.translationManager = translationManager;
+    this.container = document.getElementById(containerId);
+    this.configPath = configPath;
+    this.config = { links: [], share: [] };
+  }
+
+  async load() {
+    try {
+      const config = await this.translationManager.loadJson(this.configPath);
+      this.config = { links: config.links || [], share: config.share || [] };
+    } catch (error) {
+      console.error('Error loading social links:', error);
+    }
+    return this.config;
+  }
+
+  // Visible entries by ascending order; equal orders keep the file's order.
+  // Entries without a usable url are left out.
+  static arrange(entries) {
+    return entries
+      .filter(entry => entry.visible !== false && typeof entry.url === 'string'
+        && RichText.isSafeUrl(entry.url.replace(/\{\w+\}/g, '')))
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  }
+
+  get links() {
+    return SocialLinks.arrange(this.config.links);
+  }
+
+  get shareTargets() {
+    return SocialLinks.arrange(this.config.share);
+  }
+
+  profileUrls() {
+    return this.links.filter(link => link.profile).map(link => link.url);
+  }
+
+  async init() {
+    await this.load();
+    this.render();
+    window.addEventListener('languageChanged', () => this.applyTranslations());
+
+    // Rendering happens after the translations; the prerender waits for this
+    window.dispatchEvent(new CustomEvent('socialLinksReady'));
+    return this;
+  }
+
+  render() {
+    if (!this.container) return;
+
+    this.container.replaceChildren(...this.links.map(link => {
+      const anchor = document.createElement('a');
+      anchor.href = link.url;
+      anchor.dataset.social = link.id;
+      anchor.className = 'transition duration-300 hover:opacity-80';
+      if (!link.url.startsWith('mailto:')) {
+        anchor.target = '_blank';
+        anchor.rel = 'noopener noreferrer';
+      }
+
+      const icon = document.createElement('img');
+      icon.src = TranslationManager.sitePath(link.icon);
+      icon.className = 'h-12 w-12';
+      anchor.appendChild(icon);
+      return anchor;
+    }));
+    this.applyTranslations();
+  }
+
+  applyTranslations() {
+    if (!this.container) return;
+
+    this.links.forEach(link => {
+      const anchor = this.container.querySelector(`[data-social="${link.id}"]`);
+      if (!anchor) return;
+      const label = this.translationManager.getTranslation(link.label);
+      anchor.title = label;
+      anchor.querySelector('img').alt = label;
+    });
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.SocialLinks = SocialLinks;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SocialLinks };
+}
@@ -0,0 +1,171 @@
+// Table of contents for the rendered markdown pages. Headings get stable ids
+// (an explicit "## Heading {#id}" suffix wins over the slug of the text) and
+// an anchor link; the TOC is a collapsible <details> list whose active entry
+// follows the scroll position.
+class TableOfContents {
+  constructor(translationManager, { containerId = 'table-of-contents', selector = 'h2, h3' } = {}) {
+    this.translationManager = translationManager;
+    this.container = document.getElementById(containerId);
+    this.selector = selector;
+    this.headings = [];
+    this.links = new Map();
+    this.observer = null;
+  }
+
+  static slugify(text) {
+    return text
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  // Give every heading in contentEl an id and anchor link, then render the
+  // list. Safe to call again on prerendered markup.
+  build(contentEl) {
+    this.destroy();
+
+    const used = new Set();
+    this.headings = Array.from(contentEl.querySelectorAll(this.selector));
+    this.headings.forEach(heading => {
+      heading.id = this.getHeadingId(heading, used);
+      used.add(heading.id);
+      this.addAnchor(heading);
+    });
+
+    this.render();
+    this.observe();
+    return this;
+  }
+
+  getHeadingId(heading, used) {
+    const explicit = this.takeExplicitId(heading);
+    if (explicit) return explicit;
+    if (heading.id && !used.has(heading.id)) return heading.id;
+
+    const base = TableOfContents.slugify(this.getHeadingText(heading)) || 'section';
+    let id = base;
+    for (let n = 2; used.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  // Strip a trailing {#id} from the heading text and return the id
+  takeExplicitId(heading) {
+    const last = heading.lastChild;
+    if (!last || last.nodeType !== Node.TEXT_NODE) return null;
+
+    const match = /\s*\{#([A-Za-z0-9_-]+)\}\s*$/.exec(last.textContent);
+    if (!match) return null;
+
+    last.textContent = last.textContent.slice(0, match.index);
+    return match[1];
+  }
+
+  getHeadingText(heading) {
+    const copy = heading.cloneNode(true);
+    copy.querySelectorAll('.heading-anchor').forEach(anchor => anchor.remove());
+    return copy.textContent.trim();
+  }
+
+  addAnchor(heading) {
+    let anchor = heading.querySelector('.heading-anchor');
+    if (!anchor) {
+      anchor = document.createElement('a');
+      anchor.className = 'heading-anchor';
+      anchor.setAttribute('aria-hidden', 'true');
+      anchor.textContent = '#';
+      heading.appendChild(anchor);
+    }
+    anchor.href = `#${heading.id}`;
+  }
+
+  render() {
+    if (!this.container) return;
+
+    this.links.clear();
+    if (this.headings.length < 2) {
+      this.container.replaceChildren();
+      this.container.classList.add('hidden');
+      return;
+    }
+
+    const details = document.createElement('details');
+    details.open = this.container.querySelector('details')?.open ?? true;
+
+    const summary = document.createElement('summary');
+    summary.dataset.key = 'content-pages.toc-contents';
+    summary.textContent = this.translationManager.getTranslation('content-pages.toc-contents');
+
+    const list = document.createElement('ol');
+    this.headings.forEach(heading => {
+      const item = document.createElement('li');
+      item.className = `toc-${heading.tagName.toLowerCase()}`;
+
+      const link = document.createElement('a');
+      link.href = `#${heading.id}`;
+      link.textContent = this.getHeadingText(heading);
+      item.appendChild(link);
+      list.appendChild(item);
+      this.links.set(heading.id, link);
+    });
+
+    details.append(summary, list);
+    this.container.replaceChildren(details);
+    this.container.classList.remove('hidden');
+  }
+
+  // Scroll-spy: highlight the first heading in the band below the sticky header
+  observe() {
+    if (!this.container || typeof IntersectionObserver === 'undefined' || !this.links.size) return;
+
+    const visible = new Set();
+    this.observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          visible.add(entry.target);
+        } else {
+          visible.delete(entry.target);
+        }
+      });
+
+      const current = this.headings.find(heading => visible.has(heading));
+      if (current) this.setActive(current.id);
+    }, { rootMargin: '-80px 0px -60% 0px' });
+
+    this.headings.forEach(heading => this.observer.observe(heading));
+  }
+
+  setActive(id) {
+    this.links.forEach((link, linkId) => {
+      const active = linkId === id;
+      link.classList.toggle('active', active);
+      if (active) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  indexOf(id) {
+    return this.headings.findIndex(heading => heading.id === id);
+  }
+
+  destroy() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+  }
+}
+
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.TableOfContents = TableOfContents;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TableOfContents };
+}
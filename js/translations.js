@@ -1,16 +1,93 @@
 class TranslationManager {
-  constructor() {
+  // Site root, taken from this script's own URL so pages served under a
+  // /<lang>/ prefix still find translations/ and content/
+  static siteRoot = typeof document !== 'undefined' && document.currentScript
+    ? new URL('..', document.currentScript.src).href
+    : '';
+
+  static resolveSitePath(path) {
+    return TranslationManager.siteRoot ? new URL(path, TranslationManager.siteRoot).href : path;
+  }
+
+  // Root-relative form for src/href attributes, so prerendered markup does
+  // not name the host it was rendered for
+  static sitePath(path) {
+    return TranslationManager.siteRoot ? new URL(path, TranslationManager.siteRoot).pathname : path;
+  }
+
+  // Keys are dot-paths whose first segment names the namespace bundle they
+  // live in, e.g. 'home.live.title' -> translations/<lang>/home.json.
+  // loadJson replaces the fetch-based loader for files under the site root
+  // (the Node scripts read them from disk with it); fetched files go through
+  // cache, a ResourceCache, unless it is null.
+  constructor({ namespaces = ['common'], loadJson = null, cache = ResourceCache.shared } = {}) {
     this.currentLang = 'en';
-    this.translations = {};
+    this.translations = {}; // { [language]: { [namespace]: bundle } }
     this.fallbackLang = 'en';
-    this.supportedLanguages = ['en', 'pt']; // Added new languages
+    this.languages = []; // entries of translations/languages.json
+    this.supportedLanguages = [];
+    this.namespaces = new Set(namespaces);
+    this.pendingLoads = {};
+    this.formatters = {};
+    this.loadJson = loadJson || (path => this.fetchJson(path));
+    this.cache = cache;
+    this.debug = false;
+  }
+
+  // The language manifest is the single list of languages the site ships:
+  // code, native name, flag and label, text direction and fallback chain.
+  // Regional variants are marked "partial": their bundles only hold the
+  // keys that differ, everything else resolves through the fallback chain.
+  async loadLanguages() {
+    let manifest;
+    try {
+      manifest = await this.loadJson('translations/languages.json');
+      if (!Array.isArray(manifest.languages)) {
+        throw new Error('Language manifest has no "languages" list');
+      }
+    } catch (error) {
+      console.error('Error loading language manifest:', error);
+      manifest = {
+        default: this.fallbackLang,
+        languages: [{ code: this.fallbackLang, name: this.fallbackLang, label: this.fallbackLang.toUpperCase(), dir: 'ltr', fallback: [] }]
+      };
+    }
+
+    this.fallbackLang = manifest.default || this.fallbackLang;
+    this.languages = manifest.languages;
+    this.supportedLanguages = this.languages.map(language => language.code);
+    return this.languages;
+  }
+
+  getLanguage(code) {
+    return this.languages.find(language => language.code === code) || null;
+  }
+
+  // Languages a key is looked up in after the given one: its manifest
+  // fallbacks (recursively), always ending with the default language
+  getFallbackChain(language) {
+    const chain = [];
+    const visit = code => {
+      (this.getLanguage(code)?.fallback || []).forEach(next => {
+        if (next !== language && !chain.includes(next)) {
+          chain.push(next);
+          visit(next);
+        }
+      });
+    };
+
+    visit(language);
+    if (language !== this.fallbackLang && !chain.includes(this.fallbackLang)) {
+      chain.push(this.fallbackLang);
+    }
+    return chain;
   }
 
   detectBrowserLanguage() {
     // Get browser language preferences in order of preference
     const browserLanguages = [
-      navigator.language,
       ...(navigator.languages || []),
+      navigator.language,
       navigator.userLanguage, // IE fallback
       navigator.browserLanguage, // IE fallback
       navigator.systemLanguage // IE fallback
@@ -18,59 +95,129 @@ class TranslationManager {
 
     console.log('Browser languages detected:', browserLanguages);
 
-    // Check each browser language against supported languages
-    for (const browserLang of browserLanguages) {
-      // Extract language code (e.g., 'pt-BR' -> 'pt', 'en-US' -> 'en')
-      const langCode = browserLang.split('-')[0].toLowerCase();
-      
-      if (this.supportedLanguages.includes(langCode)) {
-        console.log(`Matching language found: ${langCode}`);
-        return langCode;
-      }
+    const match = this.matchLanguage(browserLanguages);
+    if (match) {
+      console.log(`Matching language found: ${match}`);
+      return match;
     }
 
     console.log(`No matching language found, using fallback: ${this.fallbackLang}`);
     return this.fallbackLang;
   }
 
-  async loadTranslations(language) {
-    try {
-      const response = await fetch(`translations/${language}.json`);
+  // Parse an Accept-Language style list ('pt-PT,pt;q=0.9,en;q=0.5') into
+  // locales ordered by quality, keeping the original order for equal weights
+  parseLanguagePreferences(preferences) {
+    const entries = typeof preferences === 'string' ? preferences.split(',') : preferences;
+
+    return entries
+      .map((entry, index) => {
+        const [locale, ...params] = entry.trim().split(';');
+        const quality = params.map(param => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+        return { locale: locale.trim(), quality: quality ? Number(quality[1]) : 1, index };
+      })
+      .filter(entry => entry.locale && entry.locale !== '*' && entry.quality > 0)
+      .sort((a, b) => b.quality - a.quality || a.index - b.index)
+      .map(entry => entry.locale);
+  }
+
+  // Best supported language for a list of preferred locales. Each locale is
+  // tried in order: an exact match wins (pt-PT), then its base language (pt),
+  // then another region of the same language (pt-BR -> pt-PT)
+  matchLanguage(preferences) {
+    const supported = this.supportedLanguages.map(code => ({ code, normalized: code.toLowerCase() }));
+
+    for (const locale of this.parseLanguagePreferences(preferences)) {
+      const normalized = locale.toLowerCase().replace(/_/g, '-');
+      const base = normalized.split('-')[0];
+
+      const match = supported.find(language => language.normalized === normalized)
+        || supported.find(language => language.normalized === base)
+        || supported.find(language => language.normalized.split('-')[0] === base);
+      if (match) return match.code;
+    }
+
+    return null;
+  }
+
+  // Load a single namespace bundle; concurrent and repeated requests share
+  // the same promise so every bundle is fetched at most once per language
+  loadNamespace(language, namespace) {
+    const cacheKey = `${language}/${namespace}`;
+    if (!this.pendingLoads[cacheKey]) {
+      this.pendingLoads[cacheKey] = this.fetchNamespace(language, namespace);
+    }
+    return this.pendingLoads[cacheKey];
+  }
+
+  async fetchJson(path) {
+    const load = async () => {
+      const response = await fetch(TranslationManager.resolveSitePath(path));
       if (!response.ok) {
-        throw new Error(`Failed to load ${language} translations`);
+        throw new Error(`Failed to load ${path}`);
       }
-      this.translations[language] = await response.json();
-      return this.translations[language];
+      return response.json();
+    };
+
+    return this.cache ? this.cache.fetch(path, load) : load();
+  }
+
+  async fetchNamespace(language, namespace) {
+    let bundle = {};
+    try {
+      bundle = await this.loadJson(`translations/${language}/${namespace}.json`);
     } catch (error) {
-      console.error(`Error loading translations for ${language}:`, error);
-      
-      // If not the fallback language, try to load it
-      if (language !== this.fallbackLang) {
-        console.log(`Falling back to ${this.fallbackLang} translations`);
-        return await this.loadTranslations(this.fallbackLang);
+      if (this.getLanguage(language)?.partial) {
+        // Regional overrides only ship the namespaces that differ from their base
+        console.log(`No ${language}/${namespace} overrides, using ${this.getFallbackChain(language)[0]}`);
+      } else {
+        console.error(`Error loading translations for ${language}/${namespace}:`, error);
+        // Allow a later call to retry, keys fall back to the fallback language meanwhile
+        delete this.pendingLoads[`${language}/${namespace}`];
       }
-      
-      return {};
     }
+
+    this.translations[language] = this.translations[language] || {};
+    this.translations[language][namespace] = bundle;
+    return bundle;
+  }
+
+  // Load every namespace requested so far for a language
+  async loadTranslations(language) {
+    await Promise.all([...this.namespaces].map(namespace => this.loadNamespace(language, namespace)));
+    return this.translations[language];
+  }
+
+  // Register namespaces on demand and load them for a language and its
+  // fallback chain, which missing keys resolve against
+  async ensureNamespaces(namespaces, language = this.currentLang) {
+    namespaces.forEach(namespace => this.namespaces.add(namespace));
+
+    const languages = [language, ...this.getFallbackChain(language)];
+    await Promise.all(languages.map(lang => this.loadTranslations(lang)));
+  }
+
+  // Namespaces referenced by data-key elements on the current page
+  getPageNamespaces() {
+    const namespaces = new Set(this.namespaces);
+    document.querySelectorAll('[data-key]').forEach(element => {
+      namespaces.add(element.getAttribute('data-key').split('.')[0]);
+    });
+    return [...namespaces];
   }
 
   async setLanguage(language) {
     // Load translations if not already loaded
-    if (!this.translations[language]) {
-      await this.loadTranslations(language);
-    }
+    await this.ensureNamespaces(this.getPageNamespaces(), language);
 
     this.currentLang = language;
-    document.documentElement.lang = language;
+    this.applyDocumentLanguage(language);
+    this.updateLanguageUrl(language);
+    this.updateLanguageLinks();
     
     this.updatePageTranslations();
     this.updateLanguageButtons();
     
-    // Update tools loader if it exists
-    if (window.toolsLoader && typeof window.toolsLoader.onLanguageChange === 'function') {
-      window.toolsLoader.onLanguageChange(language);
-    }
-    
     // Dispatch language change event for other components
     window.dispatchEvent(new CustomEvent('languageChanged', { detail: { language } }));
     
@@ -80,72 +227,166 @@ class TranslationManager {
 
   updatePageTranslations() {
     const elements = document.querySelectorAll('[data-key]');
-    const currentTranslations = this.translations[this.currentLang] || this.translations[this.fallbackLang] || {};
     
     elements.forEach(element => {
       const key = element.getAttribute('data-key');
-      
-      if (key === 'toggle-button') {
-        this.updateToggleButton(element, currentTranslations);
-      } else {
-        const translation = currentTranslations[key];
-        if (translation) {
-          // Update title attribute if it exists
-          if (element.hasAttribute('title')) {
-            element.setAttribute('title', translation);
-          }
-          
-          // Update content
-          if (translation.includes('<a href')) {
-            element.innerHTML = translation;
-          } else {
-            element.textContent = translation;
-          }
+      const message = this.getMessage(key);
+      const translation = message && this.formatMessage(key, message, this.getElementArgs(element));
+      if (translation) {
+        // Update title attribute if it exists
+        if (element.hasAttribute('title')) {
+          element.setAttribute('title', RichText.toPlainText(translation));
         }
+        
+        // Update content
+        this.renderTranslation(element, translation);
+      }
+
+      if (this.debug) {
+        this.highlightUntranslated(element, key);
       }
     });
   }
 
-  updateToggleButton(button, translations) {
-    const list = button.nextElementSibling;
-    if (list && list.classList.contains('expanded')) {
-      button.textContent = translations['toggle-button-less'] || 'Show Less';
+  // Dev mode (?i18n-debug or localStorage.i18nDebug = '1'): outline elements
+  // whose key is missing entirely (red) or only served by the default language
+  // (yellow). Keys a regional variant takes from its base language are not
+  // flagged, that is how partial languages work. The status goes in
+  // data-i18n-status, so the element's own title is left alone.
+  highlightUntranslated(element, key) {
+    const source = [this.currentLang, ...this.getFallbackChain(this.currentLang)]
+      .find(language => this.resolveKey(language, key) !== undefined);
+    let status = null;
+    if (source === undefined) {
+      status = 'missing';
+    } else if (source === this.fallbackLang && source !== this.currentLang) {
+      status = 'fallback';
+    }
+
+    if (status) {
+      element.dataset.i18nStatus = status;
+      element.style.outline = status === 'missing' ? '2px dashed #e64845' : '2px dashed #e7b417';
+    } else if (element.dataset.i18nStatus) {
+      delete element.dataset.i18nStatus;
+      element.style.outline = '';
+    }
+  }
+
+  isDebugEnabled() {
+    const params = new URLSearchParams(window.location.search);
+    return params.has('i18n-debug') || localStorage.getItem('i18nDebug') === '1';
+  }
+
+  // Rich-text translations are built node by node through RichText, so
+  // translation files never reach innerHTML
+  renderTranslation(element, translation) {
+    if (RichText.hasMarkup(translation)) {
+      element.replaceChildren(RichText.render(translation, document));
     } else {
-      button.textContent = translations['toggle-button'] || 'Show Tools';
+      element.textContent = translation;
     }
   }
 
+  // Mark the current language in the language menu (see LanguageDropdown)
   updateLanguageButtons() {
-    // Update active state for all language buttons
     this.supportedLanguages.forEach(lang => {
       const button = document.getElementById(`lang-${lang}`);
       if (button) {
-        if (this.currentLang === lang) {
-          button.style.backgroundColor = '#e64845';
-          button.style.color = 'white';
-        } else {
-          button.style.backgroundColor = '#374151';
-          button.style.color = '#d1d5db';
-        }
+        button.setAttribute('aria-checked', String(this.currentLang === lang));
       }
     });
   }
 
-  getTranslation(key) {
-    const currentTranslations = this.translations[this.currentLang] || this.translations[this.fallbackLang] || {};
-    return currentTranslations[key] || key;
+  // Read the ICU message arguments of a data-key element from its
+  // data-args attribute, e.g. data-args='{"count": 3}'
+  getElementArgs(element) {
+    const rawArgs = element.getAttribute('data-args');
+    if (!rawArgs) return {};
+
+    try {
+      return JSON.parse(rawArgs);
+    } catch (error) {
+      console.error(`Invalid data-args on element with key "${element.getAttribute('data-key')}":`, error.message);
+      return {};
+    }
+  }
+
+  getFormatter(language) {
+    if (!this.formatters[language]) {
+      this.formatters[language] = new MessageFormat(language);
+    }
+    return this.formatters[language];
+  }
+
+  formatMessage(key, message, args = {}) {
+    return this.getFormatter(this.currentLang).format(message, args, key);
+  }
+
+  // Resolve a dot-path key against the loaded bundles of one language
+  resolveKey(language, key) {
+    const [namespace, ...path] = key.split('.');
+    let value = this.translations[language]?.[namespace];
+
+    for (const segment of path) {
+      if (!value || typeof value !== 'object') return undefined;
+      value = value[segment];
+    }
+
+    return typeof value === 'string' ? value : undefined;
+  }
+
+  // Raw (unformatted) message for a key, falling back key by key
+  getMessage(key) {
+    for (const language of [this.currentLang, ...this.getFallbackChain(this.currentLang)]) {
+      const message = this.resolveKey(language, key);
+      if (message !== undefined) return message;
+    }
+    return undefined;
+  }
+
+  hasTranslation(key) {
+    return this.getMessage(key) !== undefined;
+  }
+
+  // Flattened dot-path keys of every loaded bundle of a language
+  getKeys(language) {
+    const keys = [];
+    const collect = (value, prefix) => {
+      if (typeof value === 'string') {
+        keys.push(prefix);
+      } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([segment, child]) => collect(child, `${prefix}.${segment}`));
+      }
+    };
+
+    Object.entries(this.translations[language] || {}).forEach(([namespace, bundle]) => collect(bundle, namespace));
+    return keys;
+  }
+
+  getTranslation(key, args = {}) {
+    const message = this.getMessage(key);
+    if (message === undefined) {
+      console.warn(`Missing translation for key "${key}" in ${this.currentLang}`);
+      return key;
+    }
+    return this.formatMessage(key, message, args);
   }
 
   async init() {
-    // Load default language first
-    await this.loadTranslations(this.fallbackLang);
-    
+    this.debug = this.isDebugEnabled();
+    await this.loadLanguages();
+
     // Determine the initial language to use
     let initialLanguage = this.fallbackLang;
     
-    // Check for saved language preference (highest priority)
+    // A language in the URL (shared links, search engines) wins over everything
+    const urlLang = this.getUrlLanguage();
+    // Check for saved language preference
     const savedLang = localStorage.getItem('preferredLanguage');
-    if (savedLang && this.supportedLanguages.includes(savedLang)) {
+    if (urlLang) {
+      console.log('Using language from URL:', urlLang);
+      initialLanguage = urlLang;
+    } else if (savedLang && this.supportedLanguages.includes(savedLang)) {
       console.log('Using saved language preference:', savedLang);
       initialLanguage = savedLang;
     } else {
@@ -155,21 +396,25 @@ class TranslationManager {
       initialLanguage = detectedLang;
     }
     
-    // Load and set the determined language
-    if (initialLanguage !== this.fallbackLang) {
-      await this.loadTranslations(initialLanguage);
-    }
+    // Load the bundles this page needs in the determined language
+    await this.ensureNamespaces(this.getPageNamespaces(), initialLanguage);
     
     this.currentLang = initialLanguage;
+    this.applyDocumentLanguage(initialLanguage);
+    this.updateLanguageLinks();
     
-    // Apply initial translations
-    this.updatePageTranslations();
+    // Apply initial translations. Pages prerendered by scripts/prerender.js
+    // already carry this language's text and are only hydrated.
+    if (document.documentElement.dataset.prerendered !== this.currentLang || this.debug) {
+      this.updatePageTranslations();
+    }
     this.updateLanguageButtons();
     
     // Set up language switch event listeners
     this.setupLanguageSwitchers();
     
     console.log('Translation system initialized with language:', this.currentLang);
+    window.dispatchEvent(new CustomEvent('translationsReady', { detail: { language: this.currentLang } }));
   }
 
   setupLanguageSwitchers() {
@@ -182,9 +427,116 @@ class TranslationManager {
     });
   }
 
+  applyDocumentLanguage(language) {
+    document.documentElement.lang = language;
+    document.documentElement.dir = this.getLanguage(language)?.dir || 'ltr';
+  }
+
+  // Language addressed by the current URL, either as a /<lang>/ path prefix
+  // or as a ?lang= parameter
+  getUrlLanguage() {
+    const url = new URL(window.location.href);
+    const candidates = [this.getPathLanguage(url), url.searchParams.get('lang')].filter(Boolean);
+
+    for (const candidate of candidates) {
+      const match = this.supportedLanguages.find(code => code.toLowerCase() === candidate.toLowerCase());
+      if (match) return match;
+    }
+    return null;
+  }
+
+  getPathLanguage(url) {
+    const firstSegment = url.pathname.split('/')[1] || '';
+    return this.supportedLanguages.find(code => code.toLowerCase() === firstSegment.toLowerCase()) || null;
+  }
+
+  // URL of the current page in another language. Pages served under a
+  // language prefix (see scripts/prerender.js) keep using prefixes, all
+  // others get ?lang=; without a language this is the x-default URL.
+  getLanguageUrl(language = null) {
+    const url = new URL(window.location.href);
+    url.hash = '';
+
+    const pathLanguage = this.getPathLanguage(url);
+    if (pathLanguage) {
+      // Prefixed pages only exist per language, x-default is the default one
+      const rest = url.pathname.slice(pathLanguage.length + 1);
+      url.pathname = `/${language || this.fallbackLang}${rest}`;
+      url.searchParams.delete('lang');
+    } else if (language) {
+      url.searchParams.set('lang', language);
+    } else {
+      url.searchParams.delete('lang');
+    }
+
+    return url.toString();
+  }
+
+  // Reflect the language in the address bar without reloading the page
+  updateLanguageUrl(language) {
+    const url = new URL(this.getLanguageUrl(language));
+    url.hash = window.location.hash;
+    if (url.toString() !== window.location.href) {
+      history.replaceState(history.state, '', url.toString());
+    }
+  }
+
+  // Keep canonical, hreflang alternates and og:locale tags in sync with the
+  // registered languages so every language version is discoverable
+  updateLanguageLinks() {
+    const head = document.head;
+    head.querySelectorAll('link[rel="alternate"][hreflang], meta[property="og:locale:alternate"]')
+      .forEach(element => element.remove());
+
+    const appendHeadElement = (tagName, attributes) => {
+      const element = document.createElement(tagName);
+      Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+      head.appendChild(element);
+    };
+
+    this.languages.forEach(language => {
+      appendHeadElement('link', { rel: 'alternate', hreflang: language.code, href: this.getLanguageUrl(language.code) });
+    });
+    appendHeadElement('link', { rel: 'alternate', hreflang: 'x-default', href: this.getLanguageUrl() });
+
+    let canonical = head.querySelector('link[rel="canonical"]');
+    if (!canonical) {
+      canonical = document.createElement('link');
+      canonical.setAttribute('rel', 'canonical');
+      head.appendChild(canonical);
+    }
+    canonical.setAttribute('href', this.getLanguageUrl(this.currentLang));
+
+    let ogLocale = head.querySelector('meta[property="og:locale"]');
+    if (!ogLocale) {
+      ogLocale = document.createElement('meta');
+      ogLocale.setAttribute('property', 'og:locale');
+      head.appendChild(ogLocale);
+    }
+    ogLocale.setAttribute('content', this.getOgLocale(this.currentLang));
+
+    this.languages
+      .filter(language => language.code !== this.currentLang)
+      .forEach(language => {
+        appendHeadElement('meta', { property: 'og:locale:alternate', content: this.getOgLocale(language.code) });
+      });
+  }
+
+  getOgLocale(code) {
+    return this.getLanguage(code)?.ogLocale || code.replace('-', '_');
+  }
+
   // Method to add support for new languages dynamically
-  addSupportedLanguage(languageCode) {
+  addSupportedLanguage(languageCode, entry = {}) {
     if (!this.supportedLanguages.includes(languageCode)) {
+      this.languages.push({
+        code: languageCode,
+        name: languageCode,
+        label: languageCode.toUpperCase(),
+        dir: 'ltr',
+        fallback: [],
+        ...entry
+      });
       this.supportedLanguages.push(languageCode);
       console.log(`Added support for language: ${languageCode}`);
     }
@@ -195,11 +547,18 @@ class TranslationManager {
     return {
       current: this.currentLang,
       supported: this.supportedLanguages,
+      languages: this.languages,
       fallback: this.fallbackLang,
+      namespaces: [...this.namespaces],
       detected: this.detectBrowserLanguage()
     };
   }
 }
 
-// Export for use in other scripts
-window.TranslationManager = TranslationManager;
+// Export for use in other scripts (and for the Node tooling in scripts/)
+if (typeof window !== 'undefined') {
+  window.TranslationManager = TranslationManager;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TranslationManager };
+}
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// Search index builder.
+//
+//   node scripts/build-search-index.js [--out search]
+//
+// Writes search/<lang>.json for every registered language: the pages of
+// content/pages.json, read from content/<lang>/ with the same fallback chain
+// as ContentLoader, split into one section per h2/h3 heading. Section ids
+// match the anchors TableOfContents gives the rendered headings, so results
+// deep-link to them. The indexes are build output: scripts/prerender.js
+// writes them into its output directory, and running this script puts them
+// in search/ for serving the working tree.
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadBrowserModules, createFileJsonLoader } = require('./lib/browser-modules');
+
+// MarkdownRenderer expects marked as a global, like the CDN script in the pages
+globalThis.marked = require('marked');
+
+const { TranslationManager, ContentRouter, ContentLoader, FrontMatter, TableOfContents, MarkdownRenderer } = loadBrowserModules();
+
+const CONTENT_DIR = path.join(ROOT, 'content');
+const SECTION_DEPTHS = [2, 3]; // TableOfContents' default 'h2, h3'
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': '\'', nbsp: ' ' };
+
+function htmlToText(html) {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, name) => ENTITIES[name])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function readPage(tm, language, page, contentDir) {
+  for (const lang of [language, ...tm.getFallbackChain(language)]) {
+    const file = path.join(contentDir, lang, page.source);
+    if (fs.existsSync(file)) {
+      return { language: lang, source: fs.readFileSync(file, 'utf8') };
+    }
+  }
+  return null;
+}
+
+// Same ids as TableOfContents.getHeadingId: an explicit {#id} suffix, or the
+// slug of the text made unique with -2, -3...
+function headingId(text, used) {
+  const explicit = /\s*\{#([A-Za-z0-9_-]+)\}\s*$/.exec(text);
+  if (explicit) {
+    return { id: explicit[1], text: text.slice(0, explicit.index) };
+  }
+
+  const base = TableOfContents.slugify(text) || 'section';
+  let id = base;
+  for (let n = 2; used.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return { id, text };
+}
+
+// Body of a "translation: partial" page with its missing sections taken
+// from the fallback file, as ContentLoader shows it
+function mergePartial(renderer, body, fallback) {
+  return ContentLoader.mergeSections(
+    renderer.splitSections(body),
+    renderer.splitSections(FrontMatter.parse(fallback.source).body)
+  ).map(section => section.markdown).join('\n');
+}
+
+// The renderer's marked instance knows the admonition and embed syntax, so
+// neither ends up in the index as literal text
+function splitSections(marked, slug, body) {
+  const used = new Set();
+  const sections = [];
+  let current = { page: slug, id: null, heading: null, parts: [] };
+
+  marked.lexer(body).forEach(token => {
+    if (token.type === 'heading' && SECTION_DEPTHS.includes(token.depth)) {
+      sections.push(current);
+      const { id, text } = headingId(htmlToText(marked.parseInline(token.text)), used);
+      used.add(id);
+      current = { page: slug, id, heading: text, parts: [] };
+    } else if (token.type !== 'space') {
+      current.parts.push(htmlToText(marked.parser([token])));
+    }
+  });
+  sections.push(current);
+
+  return sections
+    .map(({ parts, ...section }) => ({ ...section, text: parts.filter(Boolean).join(' ') }))
+    .filter(section => section.heading || section.text);
+}
+
+// Index of one language; contentDir holds the <lang>/ folders of markdown
+async function buildIndex(tm, pages, language, contentDir = CONTENT_DIR) {
+  tm.currentLang = language;
+  await tm.ensureNamespaces(['content-pages'], language);
+
+  const index = { language, pages: [], sections: [] };
+  const renderer = new MarkdownRenderer(tm);
+
+  pages.forEach(page => {
+    const file = readPage(tm, language, page, contentDir);
+    if (!file) return;
+
+    const { data, body } = FrontMatter.parse(file.source);
+    const [next] = tm.getFallbackChain(file.language);
+    const fallback = data.translation === 'partial' && next ? readPage(tm, next, page, contentDir) : null;
+    const titleKey = page.meta?.title;
+    index.pages.push({
+      slug: page.slug,
+      title: data.title || (titleKey && tm.hasTranslation(titleKey) ? tm.getTranslation(titleKey) : page.slug),
+      language: file.language
+    });
+    index.sections.push(...splitSections(renderer.marked, page.slug, fallback ? mergePartial(renderer, body, fallback) : body));
+  });
+
+  return index;
+}
+
+async function writeIndexes(outDir) {
+  const tm = new TranslationManager({ namespaces: [], loadJson: createFileJsonLoader(), cache: null });
+  await tm.loadLanguages();
+  const pages = await new ContentRouter(tm).loadRegistry();
+
+  fs.mkdirSync(outDir, { recursive: true });
+
+  for (const language of tm.supportedLanguages) {
+    const index = await buildIndex(tm, pages, language);
+    const file = path.join(outDir, `${language}.json`);
+    fs.writeFileSync(file, `${JSON.stringify(index, null, 2)}\n`);
+    console.log(`  ${path.relative(ROOT, file)}: ${index.pages.length} pages, ${index.sections.length} sections`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  await writeIndexes(path.resolve(ROOT, outIndex !== -1 ? args[outIndex + 1] : 'search'));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { buildIndex, writeIndexes };
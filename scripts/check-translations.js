@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+// Translation coverage checker.
+//
+//   node scripts/check-translations.js [--json] [--strict]
+//
+// Loads every bundle through TranslationManager, cross-references them with
+// the data-key attributes in the HTML pages, the keys used in js/ and the
+// meta keys of the content registry, and prints a per-language report. Exits with
+// 1 when keys are missing, undefined, malformed or have mismatched
+// placeholders; --strict also fails on unused and extra keys.
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadBrowserModules, createFileJsonLoader, listNamespaces } = require('./lib/browser-modules');
+
+const { TranslationManager, MessageFormat, ContentRouter } = loadBrowserModules();
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function listFiles(dir, extension) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith(extension))
+    .map(file => path.join(dir, file));
+}
+
+// File loader that records unreadable bundles instead of failing the run.
+// Partial languages only ship the namespaces they override, so their missing
+// bundles are expected.
+function createReportingLoader(missingBundles, isPartial) {
+  const readJson = createFileJsonLoader();
+  return async file => {
+    try {
+      return await readJson(file);
+    } catch (error) {
+      const language = (/^translations\/([^/]+)\//.exec(file) || [])[1];
+      if (!(error.code === 'ENOENT' && language && isPartial(language))) {
+        missingBundles.push(`${file}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+      }
+      return {};
+    }
+  };
+}
+
+// Keys referenced from markup (data-key, with the argument names of data-args)
+function collectHtmlReferences() {
+  const references = [];
+  const tagPattern = /<[a-zA-Z][^>]*\bdata-key="([^"]+)"[^>]*>/g;
+
+  listFiles(ROOT, '.html').forEach(file => {
+    const html = fs.readFileSync(file, 'utf8');
+    let match;
+    while ((match = tagPattern.exec(html)) !== null) {
+      const argsMatch = /\bdata-args='([^']*)'/.exec(match[0]);
+      let args = null;
+      if (argsMatch) {
+        try {
+          args = Object.keys(JSON.parse(argsMatch[1]));
+        } catch (error) {
+          args = [];
+        }
+      }
+      references.push({ file: path.relative(ROOT, file), key: match[1], args });
+    }
+  });
+
+  return references;
+}
+
+// Keys referenced as string literals in scripts. Template literals such as
+// `content-pages.pages.${type}` count as a prefix matching every key below it.
+// Label keys of content/pages.json and data/social.json count as well.
+function collectScriptReferences(namespaces, pages, social) {
+  const exact = [];
+  const prefixes = [];
+  const pattern = new RegExp(`(['"\`])((?:${namespaces.map(escapeRegExp).join('|')})\\.[A-Za-z0-9_.-]*)(\\$\\{)?`, 'g');
+  const files = [...listFiles(path.join(ROOT, 'js'), '.js'), ...listFiles(ROOT, '.html')];
+
+  files.forEach(file => {
+    const source = fs.readFileSync(file, 'utf8');
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      const reference = { file: path.relative(ROOT, file), key: match[2] };
+      if (match[3]) {
+        prefixes.push(reference);
+      } else {
+        exact.push(reference);
+      }
+    }
+  });
+
+  pages.forEach(page => {
+    Object.values(page.meta || {}).forEach(key => {
+      exact.push({ file: 'content/pages.json', key });
+    });
+  });
+
+  [...(social.links || []), ...(social.share || [])].forEach(entry => {
+    exact.push({ file: 'data/social.json', key: entry.label });
+  });
+
+  return { exact, prefixes };
+}
+
+function checkLanguage(tm, language, referenceKeys) {
+  const formatter = new MessageFormat(language);
+  const referenceFormatter = new MessageFormat(tm.fallbackLang);
+  const keys = new Set(tm.getKeys(language));
+  const partial = Boolean(tm.getLanguage(language)?.partial);
+  const report = { language, partial, total: referenceKeys.length, missing: [], extra: [], malformed: [], placeholders: [] };
+
+  referenceKeys.forEach(key => {
+    if (!keys.has(key)) {
+      // Regional overrides are expected to leave most keys to their fallback chain
+      if (!partial) report.missing.push(key);
+      return;
+    }
+
+    let expected;
+    let actual;
+    try {
+      expected = referenceFormatter.getArgumentNames(tm.resolveKey(tm.fallbackLang, key));
+      actual = formatter.getArgumentNames(tm.resolveKey(language, key));
+    } catch (error) {
+      report.malformed.push(`${key}: ${error.message}`);
+      return;
+    }
+
+    if (expected.join() !== actual.join()) {
+      report.placeholders.push(`${key}: expected {${expected.join('}, {')}}, found {${actual.join('}, {')}}`);
+    }
+  });
+
+  keys.forEach(key => {
+    if (!referenceKeys.includes(key)) report.extra.push(key);
+  });
+
+  report.translated = partial
+    ? keys.size - report.extra.length
+    : report.total - report.missing.length;
+  return report;
+}
+
+function checkReferences(tm, referenceKeys, htmlReferences, scriptReferences) {
+  const defined = new Set(referenceKeys);
+  const formatter = new MessageFormat(tm.fallbackLang);
+  const undefinedKeys = [];
+  const missingArgs = [];
+
+  [...htmlReferences, ...scriptReferences.exact].forEach(({ file, key }) => {
+    // Partial keys such as 'common.toggle' inside longer expressions are not references
+    if (!defined.has(key) && !referenceKeys.some(candidate => candidate.startsWith(`${key}.`))) {
+      undefinedKeys.push(`${file}: ${key}`);
+    }
+  });
+
+  // Messages with placeholders need matching data-args on the element
+  htmlReferences.filter(reference => defined.has(reference.key)).forEach(({ file, key, args }) => {
+    let needed;
+    try {
+      needed = formatter.getArgumentNames(tm.resolveKey(tm.fallbackLang, key));
+    } catch (error) {
+      return; // reported as malformed per language
+    }
+
+    const absent = needed.filter(name => !(args || []).includes(name));
+    if (absent.length > 0) {
+      missingArgs.push(`${file}: ${key} is missing data-args {${absent.join('}, {')}}`);
+    }
+  });
+
+  const used = new Set([...htmlReferences, ...scriptReferences.exact].map(reference => reference.key));
+  const unused = referenceKeys.filter(key => {
+    if (used.has(key)) return false;
+    return !scriptReferences.prefixes.some(prefix => key.startsWith(prefix.key));
+  });
+
+  return { undefinedKeys, missingArgs, unused };
+}
+
+function printList(title, items) {
+  if (items.length === 0) return;
+  console.log(`  ${title}:`);
+  items.forEach(item => console.log(`    - ${item}`));
+}
+
+function printReport({ reference, languages, references, missingBundles }) {
+  console.log(`Translation coverage (reference: ${reference.language}, ${reference.total} keys)\n`);
+
+  printList('missing bundles', missingBundles);
+
+  languages.forEach(report => {
+    if (report.partial) {
+      console.log(`${report.language.padEnd(6)} overrides ${report.translated} keys`);
+    } else {
+      const percent = report.total === 0 ? 100 : (report.translated / report.total) * 100;
+      console.log(`${report.language.padEnd(6)} ${percent.toFixed(1).padStart(5)}%  ${report.translated}/${report.total}`);
+    }
+    printList('missing', report.missing);
+    printList('malformed', report.malformed);
+    printList('placeholder mismatch', report.placeholders);
+    printList(`extra (not in ${reference.language})`, report.extra);
+  });
+
+  console.log('\nReferences');
+  printList('undefined keys', references.undefinedKeys);
+  printList('missing message arguments', references.missingArgs);
+  printList('unused keys', references.unused);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const missingBundles = [];
+  const tm = new TranslationManager({
+    namespaces: [],
+    loadJson: createReportingLoader(missingBundles, language => tm.getLanguage(language)?.partial)
+  });
+  await tm.loadLanguages();
+  const namespaces = listNamespaces(tm.fallbackLang);
+  const pages = await new ContentRouter(tm).loadRegistry();
+  const social = await createFileJsonLoader()('data/social.json');
+
+  for (const language of tm.supportedLanguages) {
+    await tm.ensureNamespaces(namespaces, language);
+  }
+
+  const referenceKeys = tm.getKeys(tm.fallbackLang).sort();
+  const languages = tm.supportedLanguages.map(language => checkLanguage(tm, language, referenceKeys));
+  const references = checkReferences(
+    tm,
+    referenceKeys,
+    collectHtmlReferences(),
+    collectScriptReferences(namespaces, pages, social)
+  );
+
+  const result = {
+    reference: { language: tm.fallbackLang, total: referenceKeys.length },
+    languages,
+    references,
+    missingBundles
+  };
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printReport(result);
+  }
+
+  const errors = missingBundles.length
+    + references.undefinedKeys.length
+    + references.missingArgs.length
+    + languages.reduce((sum, report) => sum + report.missing.length + report.malformed.length + report.placeholders.length, 0);
+  const warnings = references.unused.length
+    + languages.reduce((sum, report) => sum + report.extra.length, 0);
+
+  if (errors > 0 || (args.includes('--strict') && warnings > 0)) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+// Same order as the <script> tags in the pages: the browser scripts share
+// globals, so later ones expect the earlier classes on globalThis
+const SCRIPTS = [
+  'resource-cache.js',
+  'message-format.js',
+  'rich-text.js',
+  'translations.js',
+  'page-meta.js',
+  'menu-button.js',
+  'disclosure.js',
+  'language-dropdown.js',
+  'front-matter.js',
+  'table-of-contents.js',
+  'content-router.js',
+  'embeds.js',
+  'embed-facade.js',
+  'shell-highlighter.js',
+  'markdown-renderer.js',
+  'content-loader.js',
+  'search-index.js',
+  'search-overlay.js',
+  'qr-code.js',
+  'social-links.js',
+  'share-menu.js',
+  'live-status.js',
+  'install-builder.js'
+];
+
+function loadBrowserModules() {
+  const modules = {};
+  SCRIPTS.forEach(file => {
+    const exports = require(path.join(ROOT, 'js', file));
+    Object.assign(globalThis, exports);
+    Object.assign(modules, exports);
+  });
+  return modules;
+}
+
+// TranslationManager loadJson option reading site files from disk
+function createFileJsonLoader(root = ROOT) {
+  return async file => JSON.parse(await fs.promises.readFile(path.join(root, file), 'utf8'));
+}
+
+function listNamespaces(language, root = ROOT) {
+  return fs.readdirSync(path.join(root, 'translations', language))
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+module.exports = { ROOT, loadBrowserModules, createFileJsonLoader, listNamespaces };
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+// Static prerender for crawlers and visitors without JavaScript.
+//
+//   node scripts/prerender.js [--out dist]
+//
+// Copies the site into the output directory and renders every page in every
+// registered language by running the page's own scripts (TranslationManager,
+// PageMeta, ContentLoader) in jsdom against the files on disk:
+//   <out>/<lang>/index.html            home page
+//   <out>/<lang>/<slug>/index.html     content pages (content/pages.json)
+//   <out>/search/<lang>.json           search indexes (build-search-index.js)
+// The output is marked with data-prerendered so the runtime scripts hydrate
+// it instead of rendering it again.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+const { ROOT, loadBrowserModules, createFileJsonLoader } = require('./lib/browser-modules');
+const { writeIndexes } = require('./build-search-index');
+
+const SITE_URL = 'https://psygreg.linux.toys';
+const STATIC_ENTRIES = ['CNAME', 'index.html', 'page-template.html', '404.html', 'sw.js', 'elements', 'js', 'translations', 'content', 'data'];
+const RENDER_TIMEOUT = 10000;
+
+// Third-party scripts the pages need to render, served from node_modules
+const VENDOR_SCRIPTS = {
+  'https://cdn.jsdelivr.net/npm/marked@12/marked.min.js': require.resolve('marked/marked.min.js')
+};
+
+const { TranslationManager, ContentRouter } = loadBrowserModules();
+
+function siteFile(url) {
+  const { pathname } = new URL(url);
+  const file = path.join(ROOT, decodeURIComponent(pathname));
+  return file.startsWith(ROOT) && fs.existsSync(file) && fs.statSync(file).isFile() ? file : null;
+}
+
+// Serves site files and vendored scripts; everything else (Tailwind, fonts)
+// is skipped, it is not needed to produce the markup
+class SiteResourceLoader extends ResourceLoader {
+  fetch(url) {
+    const file = url.startsWith(SITE_URL) ? siteFile(url) : VENDOR_SCRIPTS[url];
+    return file ? Promise.resolve(fs.readFileSync(file)) : null;
+  }
+}
+
+// Minimal fetch for the page scripts, reading site files from disk
+function createFileFetch(window) {
+  return async input => {
+    const file = siteFile(new URL(input, window.document.baseURI).href);
+    const body = file ? fs.readFileSync(file, 'utf8') : '';
+    return {
+      ok: Boolean(file),
+      status: file ? 200 : 404,
+      text: async () => body,
+      json: async () => JSON.parse(body)
+    };
+  };
+}
+
+// Make relative src/href attributes root-absolute so the same markup works
+// at /, /<lang>/ and /<lang>/<type>/
+function absolutizeTemplate(file) {
+  const dom = new JSDOM(fs.readFileSync(path.join(ROOT, file), 'utf8'), { url: `${SITE_URL}/${file}` });
+  const { document } = dom.window;
+
+  document.querySelectorAll('[src], [href]').forEach(element => {
+    ['src', 'href'].forEach(attribute => {
+      const value = element.getAttribute(attribute);
+      if (value && !/^([a-z][a-z0-9+.-]*:|\/|#|\?)/i.test(value)) {
+        element.setAttribute(attribute, `/${value}`);
+      }
+    });
+  });
+
+  const html = dom.serialize();
+  dom.window.close();
+  return html;
+}
+
+function waitForEvent(window, names) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${names.join('/')}`)), RENDER_TIMEOUT);
+    names.forEach(name => {
+      window.addEventListener(name, () => {
+        clearTimeout(timer);
+        // Let the page finish what it does after the event (PageMeta etc.)
+        setTimeout(() => resolve(name), 0);
+      });
+    });
+  });
+}
+
+async function renderPage(html, url, readyEvents) {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => console.error(`  [${url}]`, ...args));
+  virtualConsole.on('jsdomError', error => console.error(`  [${url}]`, error.message));
+
+  let ready;
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: 'dangerously',
+    resources: new SiteResourceLoader(),
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      window.fetch = createFileFetch(window);
+      window.scrollTo = () => {};
+      window.Element.prototype.scrollIntoView = () => {};
+      ready = waitForEvent(window, readyEvents);
+    }
+  });
+
+  try {
+    const event = await ready;
+    return { dom, event };
+  } catch (error) {
+    dom.window.close();
+    throw error;
+  }
+}
+
+function writePage(outDir, relativePath, html) {
+  const file = path.join(outDir, relativePath, 'index.html');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, html);
+  console.log(`  ${path.relative(ROOT, file)}`);
+}
+
+async function prerenderHome(outDir, template, language) {
+  // The social links are rendered last, once the translations are in
+  const { dom } = await renderPage(template, `${SITE_URL}/${language}/`, ['socialLinksReady']);
+  dom.window.document.documentElement.dataset.prerendered = language;
+  // The live status is only known when the page is viewed
+  dom.window.liveStatus?.clear();
+
+  writePage(outDir, language, dom.serialize());
+  dom.window.close();
+}
+
+// Same lookup order as ContentLoader.fetchMarkdownContent
+function hasContent(tm, language, page) {
+  return [language, ...tm.getFallbackChain(language)]
+    .some(lang => fs.existsSync(path.join(ROOT, 'content', lang, page.source)));
+}
+
+async function prerenderContent(outDir, template, language, page) {
+  const { dom, event } = await renderPage(template, `${SITE_URL}/${language}/${page.slug}/`, ['contentLoaded', 'contentError']);
+  const { document } = dom.window;
+
+  if (event === 'contentError') {
+    console.warn(`  skipped ${language}/${page.slug}: no content available`);
+  } else {
+    document.documentElement.dataset.prerendered = language;
+    document.getElementById('markdown-content').dataset.prerendered = `${page.slug}/${language}`;
+    writePage(outDir, path.join(language, page.slug), dom.serialize());
+  }
+  dom.window.close();
+}
+
+function copyStaticFiles(outDir) {
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+
+  STATIC_ENTRIES.forEach(entry => {
+    const source = path.join(ROOT, entry);
+    if (fs.existsSync(source)) {
+      fs.cpSync(source, path.join(outDir, entry), { recursive: true });
+    }
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  const outDir = path.resolve(ROOT, outIndex !== -1 ? args[outIndex + 1] : 'dist');
+
+  if (outDir === ROOT || ROOT.startsWith(`${outDir}${path.sep}`)) {
+    throw new Error(`Refusing to write into ${outDir}`);
+  }
+
+  const tm = new TranslationManager({ loadJson: createFileJsonLoader() });
+  await tm.loadLanguages();
+  const pages = await new ContentRouter(tm).loadRegistry();
+
+  copyStaticFiles(outDir);
+  console.log('Building search indexes');
+  await writeIndexes(path.join(outDir, 'search'));
+  console.log(`Prerendering ${tm.supportedLanguages.join(', ')} into ${path.relative(ROOT, outDir)}/`);
+
+  const homeTemplate = absolutizeTemplate('index.html');
+  const contentTemplate = absolutizeTemplate('page-template.html');
+
+  for (const language of tm.supportedLanguages) {
+    await prerenderHome(outDir, homeTemplate, language);
+    for (const page of pages) {
+      if (hasContent(tm, language, page)) {
+        await prerenderContent(outDir, contentTemplate, language, page);
+      } else {
+        console.warn(`  skipped ${language}/${page.slug}: no content/${language}/${page.source} or fallback`);
+      }
+    }
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,174 @@
+// Service worker: keeps the site usable offline.
+//
+// - The shell (pages, scripts), elements/*.webp, every translation bundle
+//   and the search indexes are precached on install.
+// - Files the scripts fetch through ResourceCache (translations/, content/,
+//   data/, search/) go to the network first. ResourceCache already answers
+//   from its own copy and refreshes it, so a second stale copy here would
+//   hold updates back for another page load. Offline, the cached copy is
+//   used; markdown is kept in the runtime cache.
+// - The CDN scripts and fonts are served stale-while-revalidate from the
+//   runtime cache.
+// - Requests made with cache: 'no-store' (the live status feed) are not
+//   handled and always reach the network.
+// - Page loads go to the network first and fall back to the cached page, or
+//   to the cached shell for clean URLs such as /handbook/.
+//
+// Bump VERSION whenever SHELL or IMAGES change, and on deploys that change
+// their files, so visitors get a fresh precache and old caches are dropped.
+const VERSION = 'v2';
+const PRECACHE = `precache-${VERSION}`;
+const RUNTIME = `runtime-${VERSION}`;
+
+const SHELL = [
+  '/',
+  '/index.html',
+  '/page-template.html',
+  '/404.html',
+  '/content/pages.json',
+  '/data/social.json',
+  '/data/embeds.json',
+  '/data/tools.json',
+  '/translations/languages.json',
+  '/js/resource-cache.js',
+  '/js/message-format.js',
+  '/js/rich-text.js',
+  '/js/translations.js',
+  '/js/page-meta.js',
+  '/js/menu-button.js',
+  '/js/disclosure.js',
+  '/js/language-dropdown.js',
+  '/js/front-matter.js',
+  '/js/table-of-contents.js',
+  '/js/content-router.js',
+  '/js/embeds.js',
+  '/js/embed-facade.js',
+  '/js/shell-highlighter.js',
+  '/js/markdown-renderer.js',
+  '/js/content-loader.js',
+  '/js/search-index.js',
+  '/js/search-overlay.js',
+  '/js/qr-code.js',
+  '/js/social-links.js',
+  '/js/share-menu.js',
+  '/js/live-status.js',
+  '/js/install-builder.js'
+];
+
+const IMAGES = [
+  'card', 'channel', 'discord', 'email', 'fluxer', 'gitea', 'github', 'insta', 'live',
+  'logo', 'logo1', 'me', 'me_new', 'screenshot', 'share', 'stoat', 'tiktok', 'twitch', 'youtube'
+].map(name => `/elements/${name}.webp`);
+
+const NAMESPACES = ['common', 'home', 'content-pages'];
+
+// Paths of the files ResourceCache caches in the page
+const DATA_PATHS = ['/translations/', '/content/', '/data/', '/search/'];
+
+// Third-party hosts the pages load scripts, styles and fonts from
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Bundles and search indexes for every language in the manifest; partial
+// languages may not have all bundles, and a working tree served as is has no
+// indexes, so missing ones are skipped
+async function precacheTranslations(cache) {
+  const response = await fetch('/translations/languages.json');
+  const { languages = [] } = await response.json();
+  const urls = languages.flatMap(language => [
+    ...NAMESPACES.map(ns => `/translations/${language.code}/${ns}.json`),
+    `/search/${language.code}.json`
+  ]);
+
+  await Promise.all(urls.map(url => cache.add(url).catch(() => {})));
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(PRECACHE);
+    await cache.addAll([...SHELL, ...IMAGES]);
+    await precacheTranslations(cache);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name !== PRECACHE && name !== RUNTIME)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  const network = fetch(event.request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') {
+        cache.put(event.request, response.clone());
+      }
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+// Root and /<lang>/ belong to the home page, everything else is routed by
+// page-template.html
+async function shellFor(url) {
+  const segments = url.pathname.split('/').filter(segment => segment && segment !== 'index.html');
+  if (segments.length === 0) return '/index.html';
+
+  const manifest = await caches.match('/translations/languages.json');
+  const { languages = [] } = manifest ? await manifest.json() : {};
+  const isLanguage = languages.some(language => language.code.toLowerCase() === segments[0].toLowerCase());
+  return segments.length === 1 && isLanguage ? '/index.html' : '/page-template.html';
+}
+
+// Fresh from the network, cached for offline use; fallback() answers when
+// neither has the file
+async function networkFirst(event, cacheName, fallback = () => Response.error()) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      cache.put(event.request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(event.request) || await caches.match(event.request, { ignoreSearch: true });
+    return cached || fallback();
+  }
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  // Requests that must not be cached (the live status feed) go to the network
+  if (request.method !== 'GET' || request.cache === 'no-store') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) {
+    if (CDN_HOSTS.includes(url.hostname)) {
+      event.respondWith(staleWhileRevalidate(event, RUNTIME));
+    }
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(event, RUNTIME, async () => caches.match(await shellFor(url))));
+  } else if (DATA_PATHS.some(path => url.pathname.startsWith(path))) {
+    event.respondWith(networkFirst(event, url.pathname.endsWith('.md') ? RUNTIME : PRECACHE));
+  } else if (url.pathname.startsWith('/elements/')) {
+    event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+  } else {
+    // Shell files: answer from the precache, refresh it
+    event.respondWith(staleWhileRevalidate(event, PRECACHE));
+  }
+});
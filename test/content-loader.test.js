@@ -0,0 +1,249 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSite, siteFiles } = require('./support');
+
+// The real page, registry and bundles; the markdown is the tests' own
+const SITE_FILES = siteFiles(
+  'content/pages.json',
+  'translations/languages.json',
+  ...['en', 'pt', 'pt-PT'].flatMap(lang => [`translations/${lang}/common.json`, `translations/${lang}/content-pages.json`])
+);
+
+const HANDBOOK_EN = `---
+title: Developer Handbook
+description: How to write LinuxToys tools
+---
+# Handbook
+
+## Getting started {#start}
+
+Install the tools.
+
+## Libraries
+
+Use the libraries.
+
+## Publishing
+
+Open a pull request.
+`;
+
+let site;
+
+async function open({ url = 'https://psygreg.linux.toys/handbook/', content = {}, languages = ['en-US'], ...options } = {}) {
+  const files = { ...SITE_FILES };
+  Object.entries(content).forEach(([file, value]) => { files[`content/${file}`] = value; });
+
+  site = createSite({ html: 'page-template.html', url, files, languages, ...options });
+  const { TranslationManager, ContentLoader } = site.modules;
+  const tm = new TranslationManager({ namespaces: ['common', 'content-pages'], cache: null });
+  await tm.init();
+  const loader = new ContentLoader(tm, { cache: null });
+  await loader.init();
+  return { tm, loader, files };
+}
+
+const byId = id => site.document.getElementById(id);
+const isShown = id => !byId(id).classList.contains('hidden');
+// Heading text without the anchor link TableOfContents adds
+const headingText = heading => heading.firstChild.textContent.trim();
+// Resolves on the next event of that name; subscribe before acting
+const nextEvent = name => new Promise(resolve => site.window.addEventListener(name, resolve, { once: true }));
+const meta = selector => site.document.head.querySelector(selector)?.getAttribute('content');
+
+afterEach(() => site?.close());
+
+describe('loading content', () => {
+  it('renders the page in the current language', async () => {
+    await open({ content: { 'en/handbook.md': HANDBOOK_EN } });
+
+    const article = byId('markdown-content');
+    assert.equal(isShown('markdown-content'), true);
+    assert.equal(isShown('content-loading'), false);
+    assert.deepEqual([...article.querySelectorAll('h2')].map(h2 => h2.id), ['start', 'libraries', 'publishing']);
+    assert.equal(article.hasAttribute('lang'), false);
+    assert.deepEqual(site.events.contentLoaded, [{ contentType: 'handbook', language: 'en', contentLanguage: 'en' }]);
+  });
+
+  it('falls back along the chain and says so', async () => {
+    const { tm } = await open({
+      url: 'https://psygreg.linux.toys/pt-PT/handbook/',
+      content: { 'en/handbook.md': HANDBOOK_EN }
+    });
+
+    assert.deepEqual(site.fetch.requests.filter(file => file.startsWith('content/') && file.endsWith('.md')), [
+      'content/pt-PT/handbook.md',
+      'content/pt/handbook.md',
+      'content/en/handbook.md'
+    ]);
+    assert.equal(byId('markdown-content').getAttribute('lang'), 'en');
+    assert.equal(site.events.contentLoaded[0].contentLanguage, 'en');
+
+    const notice = byId('article-details').querySelector('.translation-status');
+    assert.ok(notice.textContent.startsWith(tm.getTranslation('content-pages.fallback.page', {
+      language: 'Português (Portugal)',
+      fallback: 'English'
+    })));
+    assert.equal(notice.querySelector('a').href, 'https://github.com/psygreg/psygreg-site/tree/main/content');
+  });
+
+  it('takes the untranslated sections of partial pages from the fallback', async () => {
+    await open({
+      url: 'https://psygreg.linux.toys/pt/handbook/',
+      content: {
+        'en/handbook.md': HANDBOOK_EN,
+        'pt/handbook.md': '---\ntranslation: partial\n---\n# Manual\n\n## Primeiros passos {#start}\n\nInstale.\n'
+      }
+    });
+
+    const article = byId('markdown-content');
+    assert.equal(article.hasAttribute('lang'), false);
+    assert.deepEqual([...article.querySelectorAll('h2')].map(headingText), ['Primeiros passos', 'Libraries', 'Publishing']);
+
+    const fallbackSections = [...article.querySelectorAll('section.fallback-section')];
+    assert.equal(fallbackSections.length, 2);
+    fallbackSections.forEach(section => {
+      assert.equal(section.getAttribute('lang'), 'en');
+      assert.equal(section.querySelector('.translation-status').getAttribute('lang'), 'pt');
+    });
+  });
+
+  it('unwraps raw HTML tags named after Object members', async () => {
+    await open({ content: { 'en/handbook.md': '# Handbook\n\nSome <constructor x="1">raw</constructor> <toString>HTML</toString>\n' } });
+
+    const paragraph = byId('markdown-content').querySelector('p');
+    assert.equal(paragraph.innerHTML, 'Some raw HTML');
+    assert.equal(site.events.contentLoaded.length, 1);
+  });
+
+  it('drops embeds named after Object members', async () => {
+    const html = ['constructor', '__proto__'].map(provider => `<div data-embed="${provider}" data-embed-id="x"></div>`).join('\n');
+    await open({ content: { 'en/handbook.md': `# Handbook\n\n${html}\n\nAfter the embeds.\n` } });
+
+    const content = byId('markdown-content');
+    assert.equal(content.querySelector('[data-embed], [data-embed-provider]'), null);
+    assert.equal(content.querySelector('p').textContent, 'After the embeds.');
+    assert.equal(site.events.contentLoaded.length, 1);
+  });
+
+  it('reloads the page in the new language', async () => {
+    const { tm } = await open({
+      content: { 'en/handbook.md': HANDBOOK_EN, 'pt/handbook.md': '# Manual\n\n## Primeiros passos {#start}\n' }
+    });
+
+    const loaded = nextEvent('contentLoaded');
+    await tm.setLanguage('pt');
+    await loaded;
+
+    assert.equal(headingText(byId('markdown-content').querySelector('h2')), 'Primeiros passos');
+    assert.deepEqual(site.events.contentLoaded.map(detail => detail.language), ['en', 'pt']);
+  });
+
+  it('drops a load that a quicker language switch overtook', async () => {
+    let arrive;
+    const { tm } = await open({
+      content: { 'en/handbook.md': HANDBOOK_EN, 'pt/handbook.md': new Promise(resolve => { arrive = resolve; }) }
+    });
+
+    await tm.setLanguage('pt');
+    const loaded = nextEvent('contentLoaded');
+    await tm.setLanguage('en');
+    await loaded;
+
+    arrive('# Manual\n\n## Primeiros passos {#start}\n');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(headingText(byId('markdown-content').querySelector('h2')), 'Getting started');
+    assert.deepEqual(site.events.contentLoaded.map(detail => detail.language), ['en', 'en']);
+  });
+});
+
+describe('links', () => {
+  it('are root-relative and keep the language in use', async () => {
+    const { loader } = await open({
+      url: 'https://psygreg.linux.toys/pt/handbook/',
+      content: { 'en/handbook.md': HANDBOOK_EN }
+    });
+    assert.equal(loader.router.getPageUrl('cli-mode', '#flags'), '/pt/cli-mode/#flags');
+
+    site.window.history.replaceState({}, '', '/handbook/?lang=pt-PT');
+    assert.equal(loader.router.getPageUrl('credits'), '/credits/?lang=pt-PT');
+  });
+});
+
+describe('errors', () => {
+  it('shows the missing view when no language has the page', async () => {
+    const { tm } = await open();
+
+    assert.equal(isShown('content-error'), true);
+    assert.equal(isShown('content-retry'), false);
+    assert.equal(byId('content-error-title').textContent, tm.getTranslation('content-pages.error.missing.title'));
+    assert.deepEqual(site.events.contentError, [{ contentType: 'handbook', language: 'en', errorType: 'missing' }]);
+  });
+
+  it('offers a retry after a network failure, and the retry loads the page', async () => {
+    const { files } = await open({ content: { 'en/handbook.md': 503 } });
+
+    assert.equal(site.events.contentError[0].errorType, 'network');
+    assert.equal(isShown('content-retry'), true);
+
+    files['content/en/handbook.md'] = HANDBOOK_EN;
+    const loaded = nextEvent('contentLoaded');
+    byId('content-retry').click();
+    await loaded;
+    assert.equal(isShown('markdown-content'), true);
+  });
+
+  it('does not fall back to another language when the network fails', async () => {
+    await open({
+      url: 'https://psygreg.linux.toys/pt/handbook/',
+      content: { 'pt/handbook.md': new TypeError('Failed to fetch'), 'en/handbook.md': HANDBOOK_EN }
+    });
+
+    assert.equal(site.events.contentError[0].errorType, 'network');
+    assert.equal(site.fetch.requests.includes('content/en/handbook.md'), false);
+  });
+
+  it('tells offline readers apart', async () => {
+    const { tm } = await open({ onLine: false, content: { 'en/handbook.md': new TypeError('Failed to fetch') } });
+    assert.equal(site.events.contentError[0].errorType, 'offline');
+    assert.equal(byId('content-error-message').textContent, tm.getTranslation('content-pages.error.offline.message'));
+  });
+
+  it('shows the not-found view for unregistered slugs', async () => {
+    await open({ url: 'https://psygreg.linux.toys/no-such-page/' });
+    assert.equal(isShown('content-not-found'), true);
+    assert.equal(meta('meta[name="robots"]'), 'noindex');
+    assert.equal(site.events.contentNotFound.length, 1);
+  });
+});
+
+describe('page meta', () => {
+  it('takes the title and description from the front-matter', async () => {
+    await open({ content: { 'en/handbook.md': HANDBOOK_EN } });
+
+    assert.equal(site.document.title, 'Developer Handbook');
+    assert.equal(byId('page-title').textContent, 'Developer Handbook');
+    assert.equal(meta('meta[name="description"]'), 'How to write LinuxToys tools');
+    assert.equal(meta('meta[property="og:title"]'), 'Developer Handbook');
+    assert.equal(meta('meta[property="twitter:description"]'), 'How to write LinuxToys tools');
+  });
+
+  it('uses the translated registry keys without front-matter, and follows the language', async () => {
+    const { tm } = await open({
+      content: { 'en/handbook.md': '# Handbook\n', 'pt/handbook.md': '# Manual\n' }
+    });
+    assert.equal(site.document.title, tm.getTranslation('content-pages.pages.handbook.title'));
+
+    const loaded = nextEvent('contentLoaded');
+    await tm.setLanguage('pt');
+    await loaded;
+    assert.equal(site.document.title, 'Manual do Desenvolvedor - LinuxToys');
+    assert.equal(meta('meta[name="description"]'), tm.getTranslation('content-pages.pages.handbook.description'));
+    assert.equal(meta('meta[property="og:url"]'), 'https://psygreg.linux.toys/handbook/?lang=pt');
+  });
+
+  it('keeps the page title on errors', async () => {
+    const { tm } = await open({ content: { 'en/handbook.md': 500 } });
+    assert.equal(site.document.title, tm.getTranslation('content-pages.pages.handbook.title'));
+  });
+});
@@ -0,0 +1,245 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSite, siteFiles } = require('./support');
+const { buildIndex } = require('../scripts/build-search-index');
+
+// The real tool list, registry and bundles
+const SITE_FILES = siteFiles(
+  'data/tools.json',
+  'content/pages.json',
+  'translations/languages.json',
+  ...['en', 'pt', 'pt-PT'].flatMap(lang => ['common', 'home', 'content-pages'].map(ns => `translations/${lang}/${ns}.json`))
+);
+
+const PAGE = `<!DOCTYPE html><html><head><title>Test</title></head><body>
+  <code id="install-code"></code>
+  <button id="copy-button"></button>
+  <div id="install-builder"></div>
+</body></html>`;
+
+const KNOWLEDGE_BASE = `# Knowledge Base
+
+## Gaming
+
+### Steam
+
+Valve's store and launcher.
+
+### Lutris
+
+Runs games from every store, Steam included.
+
+### Heroic Games Launcher
+
+Epic and GOG games.
+`;
+
+let site;
+
+async function open({ files = {}, ...options } = {}) {
+  site = createSite({ html: PAGE, files: { ...SITE_FILES, ...files }, ...options });
+  const { TranslationManager, InstallBuilder } = site.modules;
+  const tm = new TranslationManager({ namespaces: ['common', 'home'], cache: null });
+  await tm.init();
+  const builder = await new InstallBuilder(tm).init();
+  return { tm, builder };
+}
+
+const docsLink = tool => site.document.querySelector(`.tool-docs[data-tool="${tool}"]`).getAttribute('href');
+
+afterEach(() => site?.close());
+
+const HEADER = '# LinuxToys Manifest File';
+
+describe('manifests', () => {
+  it('are parsed from the header on, without comments, blanks or repeats', async () => {
+    await open();
+    const { InstallBuilder } = site.modules;
+    const text = '\r\n# LinuxToys Manifest File\r\n\r\n# games\r\nsteam\r\n  lutris  \r\nsteam\r\n';
+    assert.deepEqual(InstallBuilder.parseManifest(text, HEADER), ['steam', 'lutris']);
+  });
+
+  it('match the header regardless of case', async () => {
+    await open();
+    assert.deepEqual(site.modules.InstallBuilder.parseManifest('# linuxtoys manifest file\nsteam', HEADER), ['steam']);
+  });
+
+  it('are rejected without the header as their first line', async () => {
+    await open();
+    const { InstallBuilder } = site.modules;
+    assert.equal(InstallBuilder.parseManifest('steam\n# LinuxToys Manifest File\n', HEADER), null);
+    assert.equal(InstallBuilder.parseManifest('', HEADER), null);
+    assert.equal(InstallBuilder.parseManifest('\n\n', HEADER), null);
+  });
+
+  it('are built as the header, a blank line and one entry per line', async () => {
+    await open();
+    const { InstallBuilder } = site.modules;
+    const manifest = InstallBuilder.buildManifest(HEADER, ['steam', 'lutris']);
+    assert.equal(manifest, '# LinuxToys Manifest File\n\nsteam\nlutris\n');
+    assert.deepEqual(InstallBuilder.parseManifest(manifest, HEADER), ['steam', 'lutris']);
+  });
+});
+
+describe('the builder', () => {
+  const input = value => site.document.querySelector(`#install-builder input[value="${value}"]`);
+  const message = () => site.document.querySelector('#install-builder .builder-message');
+  const manifestFile = (text, name = 'old.txt') => ({ name, text: async () => text });
+
+  it('installs only until tools are picked, then runs their manifest', async () => {
+    const { builder } = await open();
+    const { install } = SITE_FILES['data/tools.json'];
+    assert.equal(builder.getCommand(), install);
+
+    input('vscode').click();
+    input('steam').click();
+    assert.equal(builder.getCommand(), `${install} && LT_MANIFEST=1 linuxtoys manifest.txt`);
+    assert.equal(site.document.getElementById('install-code').textContent, builder.getCommand());
+    assert.equal(builder.getManifest(), `${HEADER}\n\nvscode\nsteam\n`);
+
+    input('vscode').click();
+    input('steam').click();
+    assert.equal(builder.getCommand(), install);
+  });
+
+  it('checks the tools of an imported manifest and opens their categories', async () => {
+    const { builder } = await open();
+    input('vscode').click();
+    await builder.importFile(manifestFile(`${HEADER}\nsteam\ntailscale\n`));
+
+    assert.deepEqual(builder.entries, ['steam', 'tailscale']);
+    assert.equal(input('vscode').checked, false);
+    assert.equal(input('steam').closest('ul').hidden, false);
+    assert.equal(input('vscode').closest('ul').hidden, true);
+    assert.equal(message().textContent, '2 entries imported from old.txt.');
+  });
+
+  it('keeps the entries it does not list, after the listed ones', async () => {
+    const { builder } = await open();
+    await builder.importFile(manifestFile(`${HEADER}\nmy-script\nsteam\n`));
+
+    assert.deepEqual(builder.extraEntries, ['my-script']);
+    assert.deepEqual(builder.entries, ['steam', 'my-script']);
+    assert.ok(message().textContent.endsWith('Kept from the file, though not listed here: my-script'));
+
+    // Still kept while tools are picked, and in the download
+    input('lutris').click();
+    assert.equal(builder.getManifest(), `${HEADER}\n\nsteam\nlutris\nmy-script\n`);
+  });
+
+  it('leaves the selection alone when a file is not a manifest', async () => {
+    const { builder } = await open();
+    input('steam').click();
+    await builder.importFile(manifestFile('steam\nlutris\n', 'notes.txt'));
+
+    assert.deepEqual(builder.entries, ['steam']);
+    assert.equal(message().textContent, 'notes.txt is not a LinuxToys manifest.');
+  });
+
+  it('says so when a file cannot be read', async () => {
+    const { builder } = await open();
+    input('steam').click();
+    await builder.importFile({ name: 'gone.txt', text: async () => { throw new Error('NotReadableError'); } });
+
+    assert.deepEqual(builder.entries, ['steam']);
+    assert.equal(message().textContent, 'gone.txt is not a LinuxToys manifest.');
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+
+  it('clears the selection, the kept entries and the message', async () => {
+    const { builder } = await open();
+    await builder.importFile(manifestFile(`${HEADER}\nmy-script\nsteam\n`));
+    builder.setEntries([]);
+
+    assert.deepEqual(builder.entries, []);
+    assert.equal(message().classList.contains('hidden'), true);
+    assert.equal(builder.getCommand(), SITE_FILES['data/tools.json'].install);
+  });
+
+  it('translates its messages on language changes', async () => {
+    const { tm, builder } = await open();
+    await builder.importFile(manifestFile(`${HEADER}\nsteam\n`));
+    await tm.setLanguage('pt');
+
+    assert.equal(message().textContent, '1 item importado de old.txt.');
+    assert.equal(site.document.querySelector('#install-builder .builder-status').textContent, '1 ferramenta selecionada');
+  });
+});
+
+describe('knowledge-base links', () => {
+  let contentDir;
+
+  before(() => {
+    contentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-'));
+    fs.mkdirSync(path.join(contentDir, 'en'));
+    fs.writeFileSync(path.join(contentDir, 'en', 'knowledgebase.md'), KNOWLEDGE_BASE);
+  });
+
+  after(() => fs.rmSync(contentDir, { recursive: true, force: true }));
+
+  async function indexFor(tm, language) {
+    const pages = await new site.modules.ContentRouter(tm).loadRegistry();
+    return new site.modules.SearchIndex(await buildIndex(tm, pages, language, contentDir));
+  }
+
+  it('point at the knowledge base until the search index is there', async () => {
+    await open();
+    assert.equal(docsLink('Steam'), '/knowledgebase/');
+  });
+
+  it('resolve each tool to its heading in knowledgebase.md', async () => {
+    const { tm, builder } = await open();
+    builder.linkDocs(await indexFor(tm, 'en'));
+
+    assert.equal(docsLink('Steam'), '/knowledgebase/#steam');
+    assert.equal(docsLink('Lutris'), '/knowledgebase/#lutris');
+    assert.equal(docsLink('Heroic Games Launcher'), '/knowledgebase/#heroic-games-launcher');
+    // No section of its own
+    assert.equal(docsLink('Godot Engine'), '/knowledgebase/');
+  });
+
+  it('keep the language in use', async () => {
+    const { tm, builder } = await open();
+    await tm.setLanguage('pt');
+    // pt has no knowledge base yet; its index falls back to the English page
+    builder.linkDocs(await indexFor(tm, 'pt'));
+
+    assert.equal(docsLink('Steam'), '/knowledgebase/?lang=pt#steam');
+    const label = site.document.querySelector('.tool-docs[data-tool="Steam"] .sr-only');
+    assert.equal(label.textContent, 'Sobre Steam na base de conhecimento');
+  });
+});
+
+describe('without a usable tools.json', () => {
+  const builderElement = selector => site.document.querySelector(`#install-builder ${selector}`);
+
+  it('keeps the page\'s install command when the file fails to load', async () => {
+    const command = 'curl -fsSL https://example.com/install.sh | sh';
+    const { builder } = await open({
+      html: PAGE.replace('<code id="install-code"></code>', `<code id="install-code">${command}</code>`),
+      files: { 'data/tools.json': 500 }
+    });
+
+    assert.equal(site.document.getElementById('install-code').textContent, command);
+    assert.equal(builder.getCommand(), command);
+    assert.equal(builderElement('.builder-import').disabled, true);
+  });
+
+  it('offers no manifest when the header is missing', async () => {
+    const tools = { ...SITE_FILES['data/tools.json'], manifest: { filename: 'manifest.txt', run: 'linuxtoys {file}' } };
+    const { builder } = await open({ files: { 'data/tools.json': tools } });
+    builderElement('input[value="steam"]').click();
+
+    assert.equal(builder.getCommand(), tools.install);
+    assert.equal(builderElement('.manifest-preview').textContent, '');
+    assert.equal(builderElement('.builder-download').disabled, true);
+    assert.equal(builderElement('.builder-import').disabled, true);
+
+    await builder.importFile({ name: 'old.txt', text: async () => '# LinuxToys Manifest File\nsteam\n' });
+    assert.deepEqual(builder.entries, ['steam']);
+    assert.equal(builderElement('.builder-message').classList.contains('hidden'), true);
+  });
+});
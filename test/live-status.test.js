@@ -0,0 +1,70 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSite, siteFiles } = require('./support');
+
+const SITE_FILES = siteFiles(
+  'translations/languages.json',
+  ...['en', 'pt', 'pt-PT'].flatMap(lang => [`translations/${lang}/common.json`, `translations/${lang}/home.json`])
+);
+
+const PAGE = `<!DOCTYPE html><html><head><title>Test</title></head><body>
+  <span id="live-badge" class="hidden"></span>
+  <div id="live-status" class="hidden"></div>
+</body></html>`;
+
+const DAY = 24 * 60 * 60 * 1000;
+const FEED = {
+  live: false,
+  title: 'LinuxToys development and Q&A',
+  category: 'Software and Game Development',
+  startedAt: new Date(Date.now() - 3 * DAY).toISOString()
+};
+
+let site;
+
+async function open(feed) {
+  site = createSite({ html: PAGE, files: { ...SITE_FILES, 'data/live-status.json': feed } });
+  const { TranslationManager, LiveStatus } = site.modules;
+  const tm = new TranslationManager({ namespaces: ['common', 'home'], cache: null });
+  await tm.init();
+  const live = new LiveStatus(tm);
+  await live.poll();
+  live.stop();
+  return { tm, live };
+}
+
+const terms = () => [...site.document.querySelectorAll('#live-status dt')].map(term => term.textContent);
+const text = () => site.document.getElementById('live-status').textContent;
+
+afterEach(() => site?.close());
+
+describe('the offline status', () => {
+  it('lists the last stream and the next one', async () => {
+    const startsAt = new Date(Date.now() + 2 * DAY).toISOString();
+    const { live } = await open({ ...FEED, scheduled: { title: 'Weekend games night', startsAt } });
+
+    assert.deepEqual(terms(), ['Last stream', 'Next stream']);
+    assert.equal(live.status.scheduled.title, 'Weekend games night');
+    assert.ok(text().includes('Weekend games night'));
+  });
+
+  it('drops a scheduled stream whose start has passed', async () => {
+    const startsAt = new Date(Date.now() - DAY).toISOString();
+    const { live } = await open({ ...FEED, scheduled: { title: 'Weekend games night', startsAt } });
+
+    assert.equal(live.status.scheduled, null);
+    assert.deepEqual(terms(), ['Last stream']);
+    assert.ok(text().includes('No stream scheduled yet.'));
+  });
+
+  it('drops it from later renders once the start passes', async () => {
+    const startsAt = new Date(Date.now() + 2 * DAY).toISOString();
+    const { live } = await open({ ...FEED, scheduled: { title: 'Weekend games night', startsAt } });
+    // The page stayed open past the start; a language change renders again
+    live.status.scheduled.startsAt = new Date(Date.now() - 1000);
+    live.render();
+
+    assert.deepEqual(terms(), ['Last stream']);
+    assert.ok(text().includes('No stream scheduled yet.'));
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSite, siteFiles } = require('./support');
+
+const SITE_FILES = siteFiles(
+  'content/pages.json',
+  'translations/languages.json',
+  ...['en', 'pt', 'pt-PT'].flatMap(lang => [`translations/${lang}/common.json`, `translations/${lang}/content-pages.json`])
+);
+
+const INDEX = { language: 'en', pages: [], sections: [] };
+
+let site;
+
+async function open({ files = {}, ...options } = {}) {
+  site = createSite({ html: 'page-template.html', files: { ...SITE_FILES, ...files }, ...options });
+  const { TranslationManager, SearchOverlay } = site.modules;
+  const tm = new TranslationManager({ namespaces: ['common', 'content-pages'], cache: null });
+  await tm.init();
+  const overlay = new SearchOverlay(tm).init();
+  await overlay.checkIndex();
+  return { tm, overlay };
+}
+
+const button = () => site.document.getElementById('search-button');
+
+afterEach(() => site?.close());
+
+describe('the search button', () => {
+  it('shows when the language has an index', async () => {
+    const { overlay } = await open({ files: { 'search/en.json': INDEX } });
+
+    assert.equal(button().classList.contains('hidden'), false);
+    button().click();
+    assert.equal(overlay.isOpen(), true);
+  });
+
+  it('is hidden, and the shortcuts do nothing, without one', async () => {
+    const { overlay } = await open({ files: { 'search/en.json': 404 } });
+
+    assert.equal(button().classList.contains('hidden'), true);
+    site.document.dispatchEvent(new site.window.KeyboardEvent('keydown', { key: 'k', ctrlKey: true }));
+    assert.equal(overlay.isOpen(), false);
+  });
+
+  it('follows the language', async () => {
+    const { tm, overlay } = await open({ files: { 'search/en.json': INDEX, 'search/pt.json': 404 } });
+    await tm.setLanguage('pt');
+    await overlay.checkIndex();
+
+    assert.equal(button().classList.contains('hidden'), true);
+  });
+});
@@ -0,0 +1,139 @@
+// Runs the browser scripts under jsdom: createSite() builds a page, makes
+// its window the global one the scripts expect (document, navigator,
+// localStorage, fetch, ...) and serves site files from a map, so every test
+// controls exactly which translations and content exist.
+const fs = require('fs');
+const path = require('path');
+const { mock } = require('node:test');
+const { JSDOM } = require('jsdom');
+const { ROOT, loadBrowserModules } = require('../scripts/lib/browser-modules');
+
+const GLOBALS = [
+  'window', 'document', 'navigator', 'location', 'history', 'localStorage',
+  'fetch', 'CustomEvent', 'Event', 'Node', 'HTMLElement', 'DocumentFragment', 'DOMParser'
+];
+
+// Minimal Storage; the tests read what the scripts stored
+class MemoryStorage {
+  constructor(entries = {}) {
+    this.entries = new Map(Object.entries(entries));
+  }
+
+  getItem(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.entries.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+// fetch() answering from files: { 'translations/en/common.json': {...} }.
+// Strings are served as text, other values as JSON, a number is an HTTP
+// error status and an Error is thrown as a network failure. Everything else
+// is a 404. A Promise is awaited first, for responses that arrive late. The
+// requested paths are kept in fetch.requests.
+function createFetch(files) {
+  const fetchStub = async url => {
+    const file = new URL(url, 'https://psygreg.linux.toys/').pathname.replace(/^\//, '');
+    fetchStub.requests.push(file);
+
+    const value = await (Object.prototype.hasOwnProperty.call(files, file) ? files[file] : 404);
+    if (value instanceof Error) throw value;
+    if (typeof value === 'number') {
+      return { ok: false, status: value, json: async () => { throw new Error(`HTTP ${value}`); }, text: async () => '' };
+    }
+
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return { ok: true, status: 200, json: async () => JSON.parse(text), text: async () => text };
+  };
+  fetchStub.requests = [];
+  return fetchStub;
+}
+
+// Files of the repository, for tests that want the real bundles
+function siteFiles(...files) {
+  return Object.fromEntries(files.map(file => {
+    const text = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    return [file, file.endsWith('.json') ? JSON.parse(text) : text];
+  }));
+}
+
+let modules = null;
+
+// html is markup or a file of the site (page-template.html)
+function createSite({
+  html = '<!DOCTYPE html><html><head><title>Test</title></head><body></body></html>',
+  url = 'https://psygreg.linux.toys/',
+  files = {},
+  languages = ['en-US'],
+  storage = {},
+  onLine = true
+} = {}) {
+  const markup = /^\s*</.test(html) ? html : fs.readFileSync(path.join(ROOT, html), 'utf8');
+  const dom = new JSDOM(markup, { url, pretendToBeVisual: true });
+  const { window } = dom;
+
+  Object.defineProperty(window.navigator, 'languages', { value: languages, configurable: true });
+  Object.defineProperty(window.navigator, 'language', { value: languages[0], configurable: true });
+  Object.defineProperty(window.navigator, 'onLine', { value: onLine, configurable: true });
+  Object.defineProperty(window, 'localStorage', { value: new MemoryStorage(storage), configurable: true });
+  window.fetch = createFetch(files);
+  window.scrollTo = () => {};
+  window.Element.prototype.scrollIntoView = () => {};
+
+  GLOBALS.forEach(name => {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+  });
+
+  // The scripts report what they do on the console; keep the output clean
+  ['log', 'info', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+  if (!modules) {
+    globalThis.marked = require('marked');
+    modules = loadBrowserModules();
+  }
+
+  // Events the page fired, by name: [detail, ...]
+  const events = {};
+  const record = name => {
+    events[name] = [];
+    window.addEventListener(name, event => events[name].push(event.detail));
+  };
+  ['translationsReady', 'languageChanged', 'contentLoaded', 'contentError', 'contentNotFound'].forEach(record);
+
+  return {
+    window,
+    document: window.document,
+    fetch: window.fetch,
+    localStorage: window.localStorage,
+    events,
+    modules,
+    close() {
+      mock.restoreAll();
+      window.close();
+      GLOBALS.forEach(name => delete globalThis[name]);
+    }
+  };
+}
+
+// Language manifest of the tests: English, Brazilian Portuguese and the
+// partial European Portuguese overrides, like the site's own
+const LANGUAGES = {
+  default: 'en',
+  languages: [
+    { code: 'en', name: 'English', label: 'EN', flag: '🇺🇸', ogLocale: 'en_US', dir: 'ltr', fallback: [] },
+    { code: 'pt', name: 'Português (Brasil)', label: 'PT', flag: '🇧🇷', ogLocale: 'pt_BR', dir: 'ltr', fallback: ['en'] },
+    { code: 'pt-PT', name: 'Português (Portugal)', label: 'PT-PT', flag: '🇵🇹', ogLocale: 'pt_PT', dir: 'ltr', fallback: ['pt', 'en'], partial: true }
+  ]
+};
+
+module.exports = { createSite, createFetch, siteFiles, MemoryStorage, LANGUAGES };
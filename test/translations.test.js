@@ -0,0 +1,320 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSite, LANGUAGES } = require('./support');
+
+const BUNDLES = {
+  'translations/languages.json': LANGUAGES,
+  'translations/en/common.json': {
+    greeting: 'Hello',
+    farewell: 'Goodbye',
+    results: '{count, plural, one {# result} other {# results}}',
+    rich: 'Read the <a href="https://example.com/">guide</a>',
+    'fake-tag': 'A <constructor x="1">tag</constructor>',
+    'only-en': 'English only',
+    price: 'Costs {n, number, currency/EURO}',
+    day: 'On {d, date, someday}'
+  },
+  'translations/en/home.json': { meta: { title: 'Home' } },
+  'translations/pt/common.json': {
+    greeting: 'Olá',
+    farewell: 'Tchau',
+    results: '{count, plural, one {# resultado} other {# resultados}}'
+  },
+  'translations/pt/home.json': { meta: { title: 'Início' } },
+  // Partial: only what differs from pt; there is no pt-PT/home.json
+  'translations/pt-PT/common.json': { farewell: 'Adeus' }
+};
+
+const PAGE = `<!DOCTYPE html><html><head><title>Test</title></head><body>
+  <h1 data-key="common.greeting">Hello</h1>
+  <a id="link" data-key="common.farewell" title="Goodbye">Goodbye</a>
+  <p id="count" data-key="common.results" data-args='{"count": 3}'></p>
+  <p id="rich" data-key="common.rich"></p>
+  <p id="missing" data-key="common.nothing">Kept</p>
+  <span data-key="home.meta.title"></span>
+  <div id="menu">
+    <button id="lang-en"></button><button id="lang-pt"></button><button id="lang-pt-PT"></button>
+  </div>
+</body></html>`;
+
+let site;
+
+async function start(options = {}) {
+  site = createSite({ html: PAGE, files: BUNDLES, ...options });
+  const tm = new site.modules.TranslationManager({ namespaces: ['common'], cache: null });
+  await tm.init();
+  return tm;
+}
+
+afterEach(() => site?.close());
+
+describe('language detection', () => {
+  it('prefers a /<lang>/ path prefix over everything else', async () => {
+    const tm = await start({
+      url: 'https://psygreg.linux.toys/pt/?lang=en',
+      storage: { preferredLanguage: 'en' },
+      languages: ['en-US']
+    });
+    assert.equal(tm.currentLang, 'pt');
+  });
+
+  it('uses ?lang= when the path has no language', async () => {
+    const tm = await start({ url: 'https://psygreg.linux.toys/?lang=pt-pt', storage: { preferredLanguage: 'en' } });
+    assert.equal(tm.currentLang, 'pt-PT');
+  });
+
+  it('uses the saved preference before the browser languages', async () => {
+    const tm = await start({ storage: { preferredLanguage: 'pt' }, languages: ['en-GB'] });
+    assert.equal(tm.currentLang, 'pt');
+  });
+
+  it('ignores a saved language the site does not ship', async () => {
+    const tm = await start({ storage: { preferredLanguage: 'fr' }, languages: ['pt-PT', 'en'] });
+    assert.equal(tm.currentLang, 'pt-PT');
+  });
+
+  it('matches browser locales exactly, by base language, then by region', async () => {
+    let tm = await start({ languages: ['pt-BR'] });
+    assert.equal(tm.matchLanguage(['pt-BR']), 'pt');
+    assert.equal(tm.matchLanguage(['pt-PT']), 'pt-PT');
+    assert.equal(tm.matchLanguage(['pt_pt']), 'pt-PT');
+    assert.equal(tm.matchLanguage(['fr-FR', 'en-GB']), 'en');
+    assert.equal(tm.matchLanguage(['fr', 'de']), null);
+    assert.equal(tm.currentLang, 'pt');
+
+    site.close();
+    tm = await start({ languages: ['fr-FR', 'de'] });
+    assert.equal(tm.currentLang, 'en');
+  });
+
+  it('orders Accept-Language style preferences by quality', async () => {
+    const tm = await start();
+    assert.deepEqual(tm.parseLanguagePreferences('en;q=0.5, pt-PT, *;q=0.1, fr;q=0'), ['pt-PT', 'en']);
+    assert.equal(tm.matchLanguage('en;q=0.4, pt;q=0.8'), 'pt');
+  });
+});
+
+describe('loading and fallback', () => {
+  it('loads the page namespaces for the language and its fallback chain', async () => {
+    const tm = await start({ languages: ['pt-PT'] });
+    assert.deepEqual(tm.getFallbackChain('pt-PT'), ['pt', 'en']);
+
+    const requested = [...site.fetch.requests].sort();
+    assert.deepEqual(requested, [
+      'translations/en/common.json',
+      'translations/en/home.json',
+      'translations/languages.json',
+      'translations/pt-PT/common.json',
+      'translations/pt-PT/home.json',
+      'translations/pt/common.json',
+      'translations/pt/home.json'
+    ]);
+  });
+
+  it('resolves missing keys key by key along the fallback chain', async () => {
+    const tm = await start({ languages: ['pt-PT'] });
+    assert.equal(tm.getTranslation('common.farewell'), 'Adeus');
+    assert.equal(tm.getTranslation('common.greeting'), 'Olá');
+    assert.equal(tm.getTranslation('common.only-en'), 'English only');
+    assert.equal(tm.getTranslation('home.meta.title'), 'Início');
+  });
+
+  it('returns the key for messages no language has', async () => {
+    const tm = await start();
+    assert.equal(tm.hasTranslation('common.nothing'), false);
+    assert.equal(tm.getTranslation('common.nothing'), 'common.nothing');
+    assert.equal(site.document.getElementById('missing').textContent, 'Kept');
+  });
+
+  it('treats missing bundles of partial languages as empty overrides', async () => {
+    await start({ languages: ['pt-PT'] });
+    assert.equal(console.error.mock.callCount(), 0);
+  });
+
+  it('fetches every bundle once, however often it is needed', async () => {
+    const tm = await start();
+    await Promise.all([tm.ensureNamespaces(['home'], 'pt'), tm.ensureNamespaces(['home'], 'pt')]);
+    await tm.setLanguage('pt');
+    await tm.setLanguage('en');
+
+    const counts = {};
+    site.fetch.requests.forEach(file => { counts[file] = (counts[file] || 0) + 1; });
+    assert.ok(Object.values(counts).every(count => count === 1), JSON.stringify(counts));
+  });
+
+  it('retries a bundle that failed to load', async () => {
+    const files = { ...BUNDLES, 'translations/pt/common.json': 500 };
+    const tm = await start({ files });
+    await tm.setLanguage('pt');
+    assert.equal(tm.getTranslation('common.greeting'), 'Hello');
+    assert.equal(console.error.mock.callCount(), 1);
+
+    files['translations/pt/common.json'] = { greeting: 'Oi' };
+    await tm.setLanguage('pt');
+    assert.equal(tm.getTranslation('common.greeting'), 'Oi');
+  });
+
+  it('falls back to the default language when the manifest is missing', async () => {
+    const files = { ...BUNDLES };
+    delete files['translations/languages.json'];
+    const tm = await start({ files, languages: ['pt-BR'] });
+    assert.deepEqual(tm.supportedLanguages, ['en']);
+    assert.equal(tm.currentLang, 'en');
+  });
+});
+
+describe('setLanguage', () => {
+  it('fires translationsReady once initialised', async () => {
+    await start({ languages: ['pt'] });
+    assert.deepEqual(site.events.translationsReady, [{ language: 'pt' }]);
+    assert.deepEqual(site.events.languageChanged, []);
+  });
+
+  it('fires languageChanged after the bundles are loaded and the page updated', async () => {
+    const tm = await start();
+    let seen = null;
+    site.window.addEventListener('languageChanged', () => {
+      seen = { lang: tm.currentLang, text: site.document.querySelector('h1').textContent };
+    });
+
+    await tm.setLanguage('pt');
+    assert.deepEqual(site.events.languageChanged, [{ language: 'pt' }]);
+    assert.deepEqual(seen, { lang: 'pt', text: 'Olá' });
+  });
+
+  it('stores the preference and updates the document language and URL', async () => {
+    const tm = await start({ url: 'https://psygreg.linux.toys/#tools' });
+    await tm.setLanguage('pt-PT');
+
+    assert.equal(site.localStorage.getItem('preferredLanguage'), 'pt-PT');
+    assert.equal(site.document.documentElement.lang, 'pt-PT');
+    assert.equal(site.document.documentElement.dir, 'ltr');
+    assert.equal(site.window.location.href, 'https://psygreg.linux.toys/?lang=pt-PT#tools');
+  });
+
+  it('keeps the language prefix of prefixed pages', async () => {
+    const tm = await start({ url: 'https://psygreg.linux.toys/pt/handbook/' });
+    await tm.setLanguage('en');
+    assert.equal(site.window.location.pathname, '/en/handbook/');
+  });
+
+  it('marks the current language in the language menu', async () => {
+    const tm = await start();
+    const checked = () => ['en', 'pt', 'pt-PT'].map(code => site.document.getElementById(`lang-${code}`).getAttribute('aria-checked'));
+    assert.deepEqual(checked(), ['true', 'false', 'false']);
+
+    await tm.setLanguage('pt');
+    assert.deepEqual(checked(), ['false', 'true', 'false']);
+    assert.equal(site.document.getElementById('lang-pt').getAttribute('style'), null);
+  });
+});
+
+describe('data-key elements', () => {
+  it('are translated on init and on every language change', async () => {
+    const tm = await start();
+    const { document } = site;
+    assert.equal(document.querySelector('h1').textContent, 'Hello');
+
+    await tm.setLanguage('pt');
+    assert.equal(document.querySelector('h1').textContent, 'Olá');
+    assert.equal(document.querySelector('[data-key="home.meta.title"]').textContent, 'Início');
+
+    await tm.setLanguage('pt-PT');
+    assert.equal(document.getElementById('link').textContent, 'Adeus');
+    assert.equal(document.querySelector('h1').textContent, 'Olá');
+  });
+
+  it('keep their title attribute in step', async () => {
+    const tm = await start();
+    await tm.setLanguage('pt');
+    assert.equal(site.document.getElementById('link').title, 'Tchau');
+  });
+
+  it('format their data-args in the current language', async () => {
+    const tm = await start();
+    const count = site.document.getElementById('count');
+    assert.equal(count.textContent, '3 results');
+
+    count.dataset.args = JSON.stringify({ count: 1 });
+    await tm.setLanguage('pt');
+    assert.equal(count.textContent, '1 resultado');
+  });
+
+  it('fall back to the plain value for styles Intl rejects', async () => {
+    const tm = await start();
+    assert.equal(tm.getTranslation('common.price', { n: 3 }), 'Costs 3');
+    assert.equal(tm.getTranslation('common.day', { d: 0 }), 'On 0');
+    assert.equal(console.error.mock.calls[0].arguments[0], 'Malformed message for key "common.price":');
+    assert.throws(() => tm.getFormatter('en').getArgumentNames('{n, number, currency/EURO}'), { name: 'MessageFormatError' });
+  });
+
+  it('report prototype names and non-numeric plurals as bad arguments', async () => {
+    const tm = await start();
+    assert.equal(tm.getTranslation('common.results', {}), '{count}');
+    assert.equal(tm.getTranslation('common.results', { count: 'many' }), '{count}');
+    assert.equal(tm.getFormatter('en').format('{toString} {constructor}', {}), '{toString} {constructor}');
+  });
+
+  it('render rich-text messages as sanitised markup', async () => {
+    await start();
+    const link = site.document.querySelector('#rich a');
+    assert.equal(link.getAttribute('href'), 'https://example.com/');
+    assert.equal(site.document.getElementById('rich').textContent, 'Read the guide');
+  });
+
+  it('keep tags named after Object members as text', async () => {
+    const tm = await start();
+    const element = site.document.createElement('p');
+    tm.renderTranslation(element, tm.getTranslation('common.fake-tag'));
+    assert.equal(element.textContent, 'A <constructor x="1">tag</constructor>');
+    assert.equal(element.children.length, 0);
+  });
+});
+
+describe('debug mode', () => {
+  const status = selector => site.document.querySelector(selector).dataset.i18nStatus;
+
+  it('flags keys missing everywhere or only served by the default language', async () => {
+    const tm = await start({ url: 'https://psygreg.linux.toys/?lang=pt&i18n-debug' });
+    site.document.body.insertAdjacentHTML('beforeend', '<p id="only-en" data-key="common.only-en"></p>');
+    tm.updatePageTranslations();
+
+    assert.equal(status('#missing'), 'missing');
+    assert.equal(status('#only-en'), 'fallback');
+    assert.equal(status('#link'), undefined);
+    assert.equal(site.document.getElementById('link').getAttribute('title'), 'Tchau');
+  });
+
+  it('does not flag what a regional variant takes from its base language', async () => {
+    const tm = await start({ url: 'https://psygreg.linux.toys/?lang=pt-PT&i18n-debug' });
+    site.document.body.insertAdjacentHTML('beforeend', '<p id="only-en" data-key="common.only-en"></p>');
+    tm.updatePageTranslations();
+
+    assert.equal(status('h1'), undefined);
+    assert.equal(status('#link'), undefined);
+    assert.equal(status('#only-en'), 'fallback');
+  });
+});
+
+describe('head links', () => {
+  it('list every language as an alternate and point canonical at the current one', async () => {
+    const tm = await start({ url: 'https://psygreg.linux.toys/' });
+    await tm.setLanguage('pt');
+    const { head } = site.document;
+
+    const alternates = [...head.querySelectorAll('link[rel="alternate"]')]
+      .map(link => [link.getAttribute('hreflang'), link.getAttribute('href')]);
+    assert.deepEqual(alternates, [
+      ['en', 'https://psygreg.linux.toys/?lang=en'],
+      ['pt', 'https://psygreg.linux.toys/?lang=pt'],
+      ['pt-PT', 'https://psygreg.linux.toys/?lang=pt-PT'],
+      ['x-default', 'https://psygreg.linux.toys/']
+    ]);
+    assert.equal(head.querySelector('link[rel="canonical"]').getAttribute('href'), 'https://psygreg.linux.toys/?lang=pt');
+    assert.equal(head.querySelector('meta[property="og:locale"]').getAttribute('content'), 'pt_BR');
+    assert.deepEqual(
+      [...head.querySelectorAll('meta[property="og:locale:alternate"]')].map(meta => meta.getAttribute('content')),
+      ['en_US', 'pt_PT']
+    );
+  });
+});